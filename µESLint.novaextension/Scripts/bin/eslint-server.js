@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/**
+ * @file Persistent ESLint worker, run by the extension with the project’s Node.
+ * Loads the ESLint module API of the ESLint install whose binary is passed as
+ * its only argument, then answers JSON-RPC 2.0 requests, one JSON message per
+ * line, on stdin / stdout. Supported methods:
+ * - `lint` ({ text, filePath, cwd, fix, fixTypes, fixRules, reportUnused }):
+ *   lint (and optionally fix) a source text, returning the ESLint results
+ *   and the metadata of the rules reported (the same data the CLI’s
+ *   `json-with-metadata` formatter outputs).
+ * - `cancel` (notification, { id }): drop a pending request.
+ * - `reset` (notification): drop the cached ESLint instances, so the next
+ *   lint operations load configurations, plugins and parsers anew.
+ */
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+
+/**
+ * Locate the ESLint package an ESLint binary belongs to.
+ * @returns {string} The path to the ESLint package directory.
+ * @param {string} binary - The path to the ESLint binary.
+ * @throws {Error} When the package cannot be located.
+ */
+function findPackage (binary) {
+  let dir = path.dirname(fs.realpathSync(binary))
+  while (dir !== path.dirname(dir)) {
+    const manifest = path.join(dir, 'package.json')
+    if (fs.existsSync(manifest)) {
+      const pkg = JSON.parse(fs.readFileSync(manifest, 'utf8'))
+      if (pkg.name === 'eslint') return dir
+    }
+    dir = path.dirname(dir)
+  }
+  // Wrapper scripts (as with pnpm) are not part of the package.
+  const main = require.resolve('eslint', { paths: [path.dirname(binary)] })
+  return findPackage(main)
+}
+
+const eslint = require(findPackage(process.argv[2]))
+
+/**
+ * The maximum number of ESLint instances kept.
+ */
+const maxEngines = 8
+
+/**
+ * Cached ESLint instances (and the API they belong to), by {@link engineKey}.
+ * Instances cache the configurations, plugins and parsers they load, so
+ * reusing them is what makes the worker faster than the CLI.
+ */
+const engines = new Map()
+
+/**
+ * Get the key identifying an ESLint instance.
+ * @returns {string} The key.
+ * @param {object} params - The lint request parameters.
+ */
+function engineKey (params) {
+  const { cwd, fix, fixTypes, fixRules, reportUnused } = params
+  return JSON.stringify([cwd, fix === true, fixTypes || [], fixRules || [], reportUnused === true])
+}
+
+/**
+ * Get the ESLint API class to use for a working directory.
+ * @returns {Promise} Resolves to the class (`null` for `CLIEngine` only APIs).
+ * @param {string} cwd - The working directory.
+ */
+async function getAPI (cwd) {
+  if (typeof eslint.loadESLint === 'function') return eslint.loadESLint({ cwd })
+  return eslint.ESLint || null
+}
+
+/**
+ * Get the metadata of the rules reported in a set of results
+ * from a `CLIEngine` (which has no method for that).
+ * @returns {object} The rule metadata, by rule ID.
+ * @param {object} engine - The `CLIEngine` instance.
+ * @param {Array.<object>} results - The ESLint results.
+ */
+function engineRulesMeta (engine, results) {
+  const rulesMeta = {}
+  if (typeof engine.getRules !== 'function') return rulesMeta
+  const rules = engine.getRules()
+  results.forEach(result => {
+    result.messages.forEach(({ ruleId }) => {
+      const rule = ruleId ? rules.get(ruleId) : null
+      if (rule != null && rule.meta != null) rulesMeta[ruleId] = rule.meta
+    })
+  })
+  return rulesMeta
+}
+
+/**
+ * Create an ESLint instance for a lint request.
+ * @returns {Promise} Resolves to the instance (`engine`) and the API class
+ * it belongs to (`API`, `null` for a `CLIEngine`).
+ * @param {object} params - The request parameters.
+ */
+async function createEngine (params) {
+  const { cwd, fix, fixTypes, fixRules, reportUnused } = params
+  let fixer = fix === true
+  if (fixer && Array.isArray(fixRules) && fixRules.length) {
+    fixer = message => fixRules.includes(message.ruleId)
+  }
+  const options = { cwd, fix: fixer }
+  if (fixer && Array.isArray(fixTypes) && fixTypes.length) options.fixTypes = fixTypes
+
+  const API = await getAPI(cwd)
+  if (reportUnused === true) {
+    // Severities as with the CLI’s `--report-unused-disable-directives`.
+    if (API == null) {
+      options.reportUnusedDisableDirectives = true
+    } else if (API.configType === 'flat') {
+      options.overrideConfig = { linterOptions: { reportUnusedDisableDirectives: 'error' } }
+    } else {
+      options.reportUnusedDisableDirectives = 'error'
+    }
+  }
+  return { API, engine: API == null ? new eslint.CLIEngine(options) : new API(options) }
+}
+
+/**
+ * Get the cached ESLint instance for a lint request, creating it if needed.
+ * The least recently used instance is dropped when there are too many.
+ * @returns {Promise} Resolves like {@link createEngine}.
+ * @param {object} params - The request parameters.
+ */
+async function getEngine (params) {
+  const key = engineKey(params)
+  let cached = engines.get(key)
+  if (cached == null) {
+    cached = await createEngine(params)
+    if (engines.size >= maxEngines) engines.delete(engines.keys().next().value)
+  } else {
+    engines.delete(key)
+  }
+  engines.set(key, cached)
+  return cached
+}
+
+/**
+ * Lint a source text.
+ * @returns {Promise} Resolves to the ESLint results and rule metadata.
+ * @param {object} params - The request parameters.
+ */
+async function lint (params) {
+  const { text, filePath, cwd } = params
+  // Some ESLint versions and plugins use the process’s working directory
+  // instead of the `cwd` option.
+  if (process.cwd() !== cwd) process.chdir(cwd)
+
+  const { API, engine } = await getEngine(params)
+  if (API == null) {
+    const results = engine.executeOnText(text, filePath, true).results
+    return { results, metadata: { rulesMeta: engineRulesMeta(engine, results) } }
+  }
+
+  const results = await engine.lintText(text, { filePath, warnIgnored: true })
+  const rulesMeta = typeof engine.getRulesMetaForResults === 'function'
+    ? engine.getRulesMetaForResults(results)
+    : {}
+  return { results, metadata: { rulesMeta } }
+}
+
+const methods = { lint }
+const pending = []
+const cancelled = new Set()
+let active = null
+
+/**
+ * Send a JSON-RPC message.
+ * @param {object} message - The message to send.
+ */
+function send (message) {
+  process.stdout.write(JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message)) + '\n')
+}
+
+/**
+ * Process pending requests, one at a time.
+ */
+async function drain () {
+  if (active != null) return
+  while (pending.length) {
+    const { id, method, params } = pending.shift()
+    if (cancelled.delete(id)) continue
+    active = id
+    try {
+      if (!(method in methods)) throw new Error(`Unknown method '${method}'`)
+      const result = await methods[method](params || {})
+      if (!cancelled.delete(id)) send({ id, result })
+    } catch (error) {
+      if (!cancelled.delete(id)) {
+        send({ id, error: { code: -32000, message: String(error && error.stack ? error.stack : error) } })
+      }
+    }
+  }
+  active = null
+}
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  let message
+  try {
+    message = JSON.parse(line)
+  } catch (error) {
+    return send({ id: null, error: { code: -32700, message: 'Parse error' } })
+  }
+
+  if (message.method === 'reset') {
+    engines.clear()
+  } else if (message.method === 'cancel') {
+    const id = message.params && message.params.id
+    if (id === active || pending.some(request => request.id === id)) cancelled.add(id)
+  } else {
+    pending.push(message)
+    drain()
+  }
+})
@@ -16,7 +16,8 @@ exports.isInPATH = async function (binaries) {
 
 /**
  * Locate one or more binary files in the user’s $PATH.
- * @returns {?string|Array.<?string>} Paths of the binaries found in the user’s $PATH.
+ * @returns {?string|Array.<?string>} Paths of the binaries found in the user’s $PATH
+ * (a single path when `binaries` is a single name).
  * @param {string|Array.<string>} binaries - The binary names to look for.
  */
 exports.findInPATH = async function (binaries) {
@@ -31,7 +32,8 @@ exports.findInPATH = async function (binaries) {
       return paths.find(path => nova.path.basename(path) === bin || null)
     })
   }
-  return binaries.length === 1 ? found[0] : found
+  if (typeof binaries !== 'string') return found
+  return found != null ? found[0] : null
 }
 
 /**
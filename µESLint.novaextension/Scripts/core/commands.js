@@ -1,10 +1,14 @@
 /**
  * @file Core extension commands functionality.
  */
-const { ESLint } = require('./eslint')
-const { prefixCommand } = require('../lib/extension')
-const { runAsync } = require('../lib/process')
-const { notify, requireJSON } = require('../lib/utils')
+const { ESLint, unusedDirectiveCode } = require('./eslint')
+const { configLayers, ruleSources } = require('./config')
+const { disableActions } = require('./disable')
+const { applyFix, fixesAt, issuesAt } = require('./fixes')
+const { severityNames } = require('./issues')
+const { ruleDocs } = require('./rules')
+const { prefixCommand, prefixMessage } = require('../lib/extension')
+const { notify, workspaceContains } = require('../lib/utils')
 
 /**
  * Wrap an ESLint file open command so that the user gets notified
@@ -31,99 +35,306 @@ function _wrapOpenCmd (key, wrapped) {
 }
 
 /**
- * Load a YAML file as if it was JSON.
- * @returns {*} The parsed YAML document.
- * @param {string} path - The path to the YAML file.
- * @throws {Error} When a parsing error occurs.
- * @see {@link https://stackoverflow.com/a/46259737}
+ * Offer the ESLint fixes and suggestions for the issues at the selection
+ * of an editor, as well as to disable their rules, then apply the action
+ * chosen by the user.
+ * @param {object} editor - The {@link TextEditor} to fix issues in.
  */
-async function _requireYAML (path) {
-  const args = [
-    '-ryaml',
-    '-rjson',
-    '-e', `puts YAML.load_file('${path.replace("'", "\\'")}').to_json`
-  ]
-  const opts = { args: args, shell: true }
-  const { code, stdout, stderr } = await runAsync('ruby', opts)
-  if (code > 0) throw new Error(stderr)
-  return JSON.parse(stdout)
+exports.fixIssue = async function (editor) {
+  try {
+    const id = `${prefixCommand()}.fix-issue`
+    const fixes = fixesAt(editor)
+    const issues = issuesAt(editor)
+    if (fixes == null || issues == null) {
+      notify(id, nova.localize(`${prefixMessage()}.outdated`))
+      return
+    }
+
+    // ESLint’s own fixes first, then the options to disable rules.
+    const actions = fixes
+      .map(({ title, fix }) => ({ title, apply: () => applyFix(editor, fix) }))
+      .concat(disableActions(editor, issues))
+    if (!actions.length) {
+      notify(id, nova.localize(`${id}.msg.no-fixes`))
+      return
+    }
+
+    const titles = actions.map(action => action.title)
+    const options = { placeholder: nova.localize(`${id}.placeholder`) }
+    const chosen = await new Promise(resolve => {
+      nova.workspace.showChoicePalette(titles, options, (_, index) => resolve(index))
+    })
+    if (chosen != null) await actions[chosen].apply()
+  } catch (error) {
+    console.error(error)
+  }
 }
 
 /**
- * Check if the ESLint config file open in an editor has `root` set to `true`.
- * @returns {boolean} Whether the config file is a root file.
- * @param {object} editor - The {@link TextEditor} instance to check.
+ * Let the user choose the rule of an issue at an editor’s selection.
+ * @returns {Promise} Resolves to the rule ID (`null` if there is none,
+ * or if the user cancelled the choice).
+ * @param {object} editor - The {@link TextEditor} to check.
+ * @param {string} id - The ID of the command (for notifications).
  * @private
  */
-async function _configIsRoot (editor) {
-  let config
+async function _chooseRule (editor, id) {
+  const issues = issuesAt(editor)
+  const rules = issues != null
+    ? Array.from(new Set(issues.map(issue => issue.code).filter(code => code)))
+    : null
+  if (rules == null || !rules.length) {
+    const msg = rules == null ? 'outdated' : 'no-rule'
+    notify(id, nova.localize(`${prefixMessage()}.${msg}`))
+    return null
+  }
+  if (rules.length === 1) return rules[0]
+
+  const options = { placeholder: nova.localize(`${prefixMessage()}.choose-rule`) }
+  return new Promise(resolve => {
+    nova.workspace.showChoicePalette(rules, options, choice => resolve(choice))
+  })
+}
+
+/**
+ * Mute the rule of an issue at the cursor for the workspace, i.e.
+ * add it to the list of rules whose issues are not shown.
+ * @param {object} editor - The {@link TextEditor} to act on.
+ * @param {string} key - The configuration key of the muted rules list.
+ */
+exports.muteRule = async function (editor, key) {
+  try {
+    const rule = await _chooseRule(editor, `${prefixCommand()}.mute-rule`)
+    if (rule == null) return
+
+    const muted = nova.workspace.config.get(key, 'array') || []
+    if (!muted.includes(rule)) nova.workspace.config.set(key, muted.concat(rule))
+  } catch (error) {
+    console.error(error)
+  }
+}
+
+/**
+ * Change the severity issues of the rule of an issue at the cursor
+ * are shown with for the workspace, i.e. add a severity override.
+ * @param {object} editor - The {@link TextEditor} to act on.
+ * @param {string} key - The configuration key of the severity overrides list.
+ */
+exports.overrideSeverity = async function (editor, key) {
+  try {
+    const id = `${prefixCommand()}.override-severity`
+    const rule = await _chooseRule(editor, id)
+    if (rule == null) return
+
+    const names = severityNames.map(name => nova.localize(`${id}.${name}`))
+    const options = { placeholder: nova.localize(`${id}.placeholder`).replace('{rule}', rule) }
+    const chosen = await new Promise(resolve => {
+      nova.workspace.showChoicePalette(names, options, (_, index) => resolve(index))
+    })
+    if (chosen == null) return
+
+    const current = nova.workspace.config.get(key, 'array') || []
+    const others = current.filter(entry => entry.split('=')[0].trim() !== rule)
+    nova.workspace.config.set(key, others.concat(`${rule}=${severityNames[chosen]}`))
+  } catch (error) {
+    console.error(error)
+  }
+}
+
+/**
+ * Open the documentation of the rule of an issue at the cursor.
+ * When there are several rules to choose from, their descriptions
+ * (if known) help the user choose.
+ * @param {object} editor - The {@link TextEditor} to act on.
+ */
+exports.openRuleDocs = async function (editor) {
   try {
-    const path = editor.document.path
-    switch (editor.document.syntax.toLowerCase()) {
-      case 'javascript':
-        config = require(path)
-        return config != null && typeof config === 'object' && config.root === true
-
-      case 'json':
-        config = requireJSON(path)
-        if (config == null || typeof config !== 'object') return false
-        return nova.path.basename(config).toLowerCase() === 'package.json'
-          ? config.eslintConfig && config.eslintConfig.root === true
-          : config.root === true
-
-      case 'yaml':
-        config = await _requireYAML(path)
-        if (config == null || typeof config !== 'object') return false
-        return config.root === true
-
-      default:
-        return false
+    const id = `${prefixCommand()}.open-rule-docs`
+    const issues = issuesAt(editor)
+    if (issues == null) {
+      notify(id, nova.localize(`${prefixMessage()}.outdated`))
+      return
+    }
+
+    const docs = []
+    issues.filter(issue => issue.code !== unusedDirectiveCode).forEach(issue => {
+      const found = ruleDocs(issue)
+      if (found == null || found.url == null) return
+      if (!docs.some(known => known.rule === found.rule)) docs.push(found)
+    })
+    if (!docs.length) {
+      notify(id, nova.localize(`${id}.msg.no-docs`))
+      return
     }
+
+    let chosen = 0
+    if (docs.length > 1) {
+      const titles = docs.map(({ rule, description }) => {
+        return description ? `${rule}: ${description}` : rule
+      })
+      const options = { placeholder: nova.localize(`${prefixMessage()}.choose-rule`) }
+      chosen = await new Promise(resolve => {
+        nova.workspace.showChoicePalette(titles, options, (_, index) => resolve(index))
+      })
+    }
+    if (chosen != null) nova.openURL(docs[chosen].url)
   } catch (error) {
-    // We really don’t want parsing errors to mess this up…
-    console.warn(error)
-    return false
+    console.error(error)
+  }
+}
+
+/**
+ * Get a path to show the user: relative to the workspace if it is in it,
+ * abbreviated to the home directory if it is in that.
+ * @returns {string} The path to show.
+ * @param {string} path - The path.
+ * @private
+ */
+function _displayPath (path) {
+  if (nova.workspace.path != null && workspaceContains(path)) {
+    return nova.workspace.relativizePath(path)
+  }
+  const home = nova.path.expanduser('~')
+  return path.startsWith(`${home}/`) ? `~${path.slice(home.length)}` : path
+}
+
+/**
+ * Get the title of a configuration layer to offer the user.
+ * @returns {string} The title.
+ * @param {object} layer - The {@link ConfigLayer}.
+ * @private
+ */
+function _layerTitle (layer) {
+  const id = `${prefixCommand()}.open-config`
+  const file = path => {
+    const shown = _displayPath(path)
+    return nova.path.basename(path) === 'package.json' ? `${shown} › eslintConfig` : shown
+  }
+  switch (layer.kind) {
+    case 'extends':
+      return nova.localize(`${id}.extends`)
+        .replace('{name}', layer.name)
+        .replace('{config}', file(layer.config))
+    case 'override':
+      if (layer.files == null) {
+        return nova.localize(`${id}.override-all`)
+          .replace('{config}', layer.line != null ? `${file(layer.config)}:${layer.line}` : file(layer.config))
+      }
+      return nova.localize(`${id}.override`)
+        .replace('{files}', layer.files.join(', '))
+        .replace('{config}', layer.line != null ? `${file(layer.config)}:${layer.line}` : file(layer.config))
+    default:
+      return file(layer.path)
   }
 }
 
 /**
- * Open the ESLint config file(s) relevant to a document.
+ * Open an ESLint config relevant to a document, letting the user choose
+ * from all the layers of the configuration applying to it (see {@link
+ * configLayers}): the config files of the cascade, what they extend and
+ * the overrides matching the document. When the document is a config file
+ * itself, it is not offered.
  * @param {object} editor - The {@link TextEditor} containing the document.
- * @param {boolean} [wrap=true] - Whether to use {@link _wrapOpenCmd}.
  */
-exports.openConfig = async function (editor, wrap) {
+exports.openConfig = async function (editor) {
   try {
     const path = editor.document.path || nova.workspace.path
-    const find = wrap !== false
-      ? _wrapOpenCmd('config', ESLint.config)
-      : ESLint.config
-
-    let found = find(path)
-    if (found && found === path) {
-      const isRoot = await _configIsRoot(editor)
-      if (!isRoot) {
-        const containing = nova.path.dirname(found)
-        const lookupDir = nova.path.dirname(containing)
-        found = containing !== lookupDir ? find(lookupDir) : null
+    const found = _wrapOpenCmd('config', ESLint.config)(path)
+    if (!found) return
+
+    const layers = configLayers(path, found)
+    const others = layers.filter(layer => layer.kind !== 'file' || layer.path !== path)
+    const offered = others.length ? others : layers
+
+    let chosen = 0
+    if (offered.length > 1) {
+      const options = { placeholder: nova.localize(`${prefixCommand()}.open-config.placeholder`) }
+      chosen = await new Promise(resolve => {
+        nova.workspace.showChoicePalette(offered.map(_layerTitle), options, (_, index) => resolve(index))
+      })
+    }
+    if (chosen == null) return
+
+    const { path: file, line } = offered[chosen]
+    if (line != null) await nova.workspace.openFile(file, { line: line })
+    else await nova.workspace.openFile(file)
+  } catch (error) {
+    console.error(error)
+  }
+}
+
+/**
+ * Open the config file setting the rule of an issue at the cursor, at the
+ * line the rule is set on. When several config layers set the rule, the
+ * user chooses, starting from the one whose setting ESLint applies.
+ * @param {object} editor - The {@link TextEditor} to act on.
+ * @param {Function} printConfig - Resolves the configuration ESLint
+ * applies to a document (see {@link ESLint.printConfig}); returns a
+ * Promise, which resolves to `null` when there is no linter for the document.
+ */
+exports.openRuleConfig = async function (editor, printConfig) {
+  try {
+    const id = `${prefixCommand()}.open-rule-config`
+    const rule = await _chooseRule(editor, id)
+    if (rule == null) return
+
+    const path = editor.document.path || nova.workspace.path
+    const found = _wrapOpenCmd('config', ESLint.config)(path)
+    if (!found) return
+
+    const sources = ruleSources(configLayers(path, found), rule).reverse()
+    if (!sources.length) {
+      // The resolved configuration at least tells the user what to look for.
+      const resolved = await printConfig(editor.document)
+      const rules = resolved != null ? resolved.rules || {} : null
+      if (rules != null && !(rule in rules)) {
+        notify(id, nova.localize(`${id}.msg.not-set`).replace('{rule}', rule))
+        return
       }
+      let msg = nova.localize(`${id}.msg.no-source`).replace('{rule}', rule)
+      if (rules != null) {
+        msg += ` ${nova.localize(`${id}.msg.setting`).replace('{setting}', JSON.stringify(rules[rule]))}`
+      }
+      notify(id, msg)
+      return
     }
 
-    if (found) {
-      const opened = await nova.workspace.openFile(found)
-      const isRoot = await _configIsRoot(opened)
-      if (!isRoot) exports.openConfig(opened, false)
+    let chosen = 0
+    if (sources.length > 1) {
+      const titles = sources.map(({ layer, line, setting }) => {
+        const at = line != null ? nova.localize(`${id}.line`).replace('{line}', line) : ''
+        return `${JSON.stringify(setting)} – ${_layerTitle(layer)}${at}`
+      })
+      const options = { placeholder: nova.localize(`${id}.placeholder`).replace('{rule}', rule) }
+      chosen = await new Promise(resolve => {
+        nova.workspace.showChoicePalette(titles, options, (_, index) => resolve(index))
+      })
     }
+    if (chosen == null) return
+
+    const { layer, line } = sources[chosen]
+    if (line != null) await nova.workspace.openFile(layer.path, { line: line })
+    else await nova.workspace.openFile(layer.path)
   } catch (error) {
     console.error(error)
   }
 }
 
 /**
- * Open the ESLint ignore file relevant to a document.
+ * Open the ESLint ignore file relevant to a document. Flat configs set
+ * their ignores themselves, so when one applies, it is opened instead.
  * @param {object} editor - The {@link TextEditor} containing the document.
  */
 exports.openIgnore = async function (editor) {
   const path = editor.document.path || nova.workspace.path
+  const config = path ? ESLint.config(path) : null
+  if (config != null && ESLint.isFlatConfig(config)) {
+    const id = `${prefixCommand()}.open-ignore`
+    notify(id, nova.localize(`${id}.msg.flat-config`))
+    nova.workspace.openFile(config)
+    return
+  }
+
   const file = _wrapOpenCmd('ignore', ESLint.ignore)(path)
   if (file) nova.workspace.openFile(file)
 }
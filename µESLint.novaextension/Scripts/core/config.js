@@ -0,0 +1,349 @@
+/**
+ * @file Core extension configuration inspection functionality.
+ */
+const { ESLint } = require('./eslint')
+const { matchesGlob } = require('../lib/glob')
+const { readFile, requireJSON } = require('../lib/utils')
+
+/**
+ * The maximum depth `extends` chains are followed to.
+ */
+const maxExtendsDepth = 8
+
+/**
+ * Get a copy of an object with its keys sorted.
+ * @returns {object} The sorted copy.
+ * @param {?object} object - The object to sort.
+ * @private
+ */
+function _sorted (object) {
+  const sorted = {}
+  Object.keys(object || {}).sort().forEach(key => { sorted[key] = object[key] })
+  return sorted
+}
+
+/**
+ * Describe the configuration ESLint resolves for a file, in a form that
+ * is easier to navigate than the raw `--print-config` output: the config
+ * files it is built from, root first, with what each of them extends, the
+ * plugins and parser in use and the rules, sorted by ID, come first.
+ * @returns {object} The description, ready to be serialised as JSON.
+ * @param {object} resolved - The configuration ESLint resolves for the file
+ * (see {@link ESLint.printConfig}).
+ * @param {string} path - The path of the file.
+ * @param {string} config - The path to the configuration file found for it.
+ */
+exports.describeConfig = function (resolved, path, config) {
+  const files = ESLint.isFlatConfig(config) ? [config] : ESLint.configChain(path)
+  const cascade = files.reverse().map(file => {
+    const read = ESLint.readConfig(file)
+    const extended = read != null && read.extends != null ? [].concat(read.extends) : []
+    return { file: file, extends: extended }
+  })
+
+  // Legacy configurations name the parser at the top level, flat ones
+  // as part of their language options.
+  const options = resolved.languageOptions || {}
+  const rest = Object.assign({}, resolved)
+  delete rest.rules
+  return {
+    file: path,
+    cascade: cascade,
+    plugins: resolved.plugins || [],
+    parser: resolved.parser || options.parser || null,
+    rules: _sorted(resolved.rules),
+    config: _sorted(rest)
+  }
+}
+
+/**
+ * Get the package an `extends` entry names, following ESLint’s naming
+ * conventions for shareable configs and plugins, and the path of the
+ * configuration inside that package (for entries like `foo/bar`).
+ * @see {@link https://eslint.org/docs/latest/extend/shareable-configs}
+ * @returns {?object} The package name (`name`) and the subpath inside the
+ * package (`subpath`, empty for the package’s main entry); `null` for
+ * ESLint’s built-in configurations and file paths.
+ * @param {string} name - The `extends` entry.
+ * @private
+ */
+function _extendsPackage (name) {
+  if (name.startsWith('eslint:') || /^[./~]/.test(name)) return null
+
+  const plugin = /^plugin:(.+)\/[^/]+$/.exec(name)
+  const prefix = plugin != null ? 'eslint-plugin' : 'eslint-config'
+  const parts = (plugin != null ? plugin[1] : name).split('/')
+  const scope = parts[0].startsWith('@') ? parts.shift() : null
+  let pkg = parts.shift() || ''
+  if (scope != null) {
+    if (pkg === '') pkg = prefix
+    else if (!pkg.startsWith(prefix)) pkg = `${prefix}-${pkg}`
+  } else if (!pkg.startsWith(`${prefix}-`)) {
+    pkg = `${prefix}-${pkg}`
+  }
+  return { name: scope != null ? `${scope}/${pkg}` : pkg, subpath: parts.join('/') }
+}
+
+/**
+ * Find a module file the way Node’s `require.resolve` would (without
+ * the subtleties of `exports` maps), i.e. trying extensions and the
+ * `main` entry or index file of directories.
+ * @returns {?string} The path to the module file (if found).
+ * @param {string} path - The module path.
+ * @private
+ */
+function _resolveFile (path) {
+  const isFile = candidate => {
+    const stat = nova.fs.stat(candidate)
+    return stat != null && stat.isFile()
+  }
+  for (const suffix of ['', '.js', '.cjs', '.json']) {
+    if (isFile(`${path}${suffix}`)) return `${path}${suffix}`
+  }
+
+  const manifest = nova.path.join(path, 'package.json')
+  const pkg = isFile(manifest) ? _readPackage(manifest) : null
+  if (pkg != null && typeof pkg.main === 'string') {
+    const main = _resolveFile(nova.path.join(path, pkg.main))
+    if (main != null) return main
+  }
+  for (const index of ['index.js', 'index.cjs', 'index.json']) {
+    if (isFile(nova.path.join(path, index))) return nova.path.join(path, index)
+  }
+  return null
+}
+
+/**
+ * Read a package.json file.
+ * @returns {?object} The package data (`null` if it cannot be read).
+ * @param {string} path - The path to the package.json file.
+ * @private
+ */
+function _readPackage (path) {
+  try {
+    return requireJSON(path)
+  } catch (error) {
+    console.warn(error)
+    return null
+  }
+}
+
+/**
+ * Find the file a configuration extends, as installed locally (i.e. in
+ * a `node_modules` directory up the hierarchy from the extending file).
+ * @returns {?string} The path to the configuration’s file (if found).
+ * @param {string} name - The `extends` entry.
+ * @param {string} from - The path to the extending configuration file.
+ * @private
+ */
+function _resolveExtends (name, from) {
+  const dir = nova.path.dirname(from)
+  if (/^\.{1,2}\//.test(name)) return _resolveFile(nova.path.join(dir, name))
+  if (name.startsWith('/')) return _resolveFile(name)
+
+  const pkg = _extendsPackage(name)
+  if (pkg == null) return null
+  let current = dir
+  for (;;) {
+    const installed = nova.path.join(current, 'node_modules', pkg.name)
+    if (nova.fs.access(installed, nova.fs.F_OK)) {
+      return _resolveFile(pkg.subpath !== '' ? nova.path.join(installed, pkg.subpath) : installed)
+    }
+    const parent = nova.path.dirname(current)
+    if (parent === current) return null
+    current = parent
+  }
+}
+
+/**
+ * Read a configuration file, following modules that only re-export
+ * another file (`module.exports = require('./eslintrc.json')`).
+ * @returns {object} The file actually holding the configuration (`path`),
+ * its statically known configuration (`data`) and the lines its keys are
+ * found on (`lines`, see {@link ESLint.readConfig}).
+ * @param {string} path - The path to the configuration file.
+ * @private
+ */
+function _readLayer (path) {
+  const lines = new Map()
+  const data = ESLint.readConfig(path, lines)
+  if (data == null && /\.c?js$/i.test(path)) {
+    const source = readFile(path) || ''
+    const match = /module\.exports\s*=\s*require\(\s*(['"])(\.{1,2}\/[^'"]+)\1\s*\)/.exec(source)
+    const target = match != null ? _resolveFile(nova.path.join(nova.path.dirname(path), match[2])) : null
+    if (target != null) return _readLayer(target)
+  }
+  return { path: path, data: data, lines: lines }
+}
+
+/**
+ * Check if a file matches a set of `files` patterns (and does not match
+ * a set of exclusion patterns). Patterns are relative to a base directory.
+ * @returns {boolean} Whether the file matches.
+ * @param {string} path - The path to the file.
+ * @param {string} base - The directory patterns are relative to.
+ * @param {*} files - The patterns (a string or an array of strings).
+ * @param {*} [excluded] - The exclusion patterns.
+ * @param {boolean} [anchored=false] - Whether patterns without a slash only
+ * match files in the base directory (as in flat configs).
+ * @private
+ */
+function _matchesFiles (path, base, files, excluded, anchored) {
+  if (!path.startsWith(`${base}/`)) return false
+  const relative = path.slice(base.length + 1)
+  const patterns = value => [].concat(value || [])
+    .filter(pattern => typeof pattern === 'string' && !pattern.startsWith('!'))
+    .map(pattern => anchored && !pattern.includes('/') ? `/${pattern}` : pattern)
+  return matchesGlob(relative, patterns(files)) && !matchesGlob(relative, patterns(excluded))
+}
+
+/**
+ * A layer of the configuration ESLint applies to a file.
+ * @typedef ConfigLayer
+ * @property {string} kind - “file” for a configuration file, “extends”
+ * for a configuration one of these extends, “override” for an `overrides`
+ * block (or a flat config object) matching the file.
+ * @property {string} path - The path to the file the layer is defined in.
+ * @property {?number} line - The line the layer starts on (if known).
+ * @property {?string} name - The name a configuration is extended as
+ * (“extends” layers only).
+ * @property {?string} config - The configuration file extending the
+ * configuration or containing the override (“extends” and “override”
+ * layers only).
+ * @property {?Array.<string>} files - The patterns an override applies to
+ * (null for flat config objects applying to all files).
+ * @property {?object} data - The statically known configuration of the layer.
+ * @property {Map} lines - The lines the keys of the layer’s configuration
+ * are found on (see {@link ESLint.readConfig}).
+ */
+
+/**
+ * Add the layers of the configurations extended by a layer. Plugin
+ * configurations are looked up in the `configs` the plugin exports.
+ * @param {Array.<ConfigLayer>} layers - The layers to add to.
+ * @param {*} extended - The `extends` entry or entries.
+ * @param {string} from - The path to the extending file.
+ * @param {Set.<string>} [ancestors] - The paths of the files extending
+ * `from`, directly or indirectly (to break cycles).
+ * @private
+ */
+function _addExtends (layers, extended, from, ancestors) {
+  ancestors = new Set(ancestors || []).add(from)
+  ;[].concat(extended || []).forEach(name => {
+    if (typeof name !== 'string') return
+    const file = _resolveExtends(name, from)
+    if (file == null || ancestors.has(file)) return
+
+    const layer = Object.assign(_readLayer(file), { kind: 'extends', line: null, name: name, config: from })
+    const plugin = /^plugin:.+\/([^/]+)$/.exec(name)
+    if (plugin != null) {
+      const configs = layer.data != null ? layer.data.configs : null
+      const lines = layer.lines.get(configs) || {}
+      layer.data = configs != null ? configs[plugin[1]] : null
+      layer.line = lines[plugin[1]] || null
+    }
+    if (layer.data != null && typeof layer.data === 'object' && ancestors.size <= maxExtendsDepth) {
+      _addExtends(layers, layer.data.extends, layer.path, ancestors)
+    }
+    layers.push(layer)
+  })
+}
+
+/**
+ * Get the layers of the configuration ESLint applies to a file, in the
+ * order ESLint merges them: for legacy configurations, the cascade of
+ * configuration files from the root one, each preceded by what it extends
+ * (locally installed shareable configs and plugins, or files), and followed
+ * by those of its `overrides` blocks that match the file; for flat configs,
+ * the config file and the config objects whose `files` match the file
+ * (or which have no `files`, and thus apply to all files).
+ * As configuration files are statically evaluated (see {@link
+ * ESLint.readConfig}), layers defined through code are not known.
+ * @returns {Array.<ConfigLayer>} The layers.
+ * @param {string} path - The path of the file.
+ * @param {string} config - The path to the configuration file found for it.
+ */
+exports.configLayers = function (path, config) {
+  const layers = []
+
+  if (ESLint.isFlatConfig(config)) {
+    const layer = _readLayer(config)
+    const base = nova.path.dirname(config)
+    layers.push(Object.assign({}, layer, { kind: 'file', line: null }))
+    const lines = layer.lines.get(layer.data) || {}
+    ;[].concat(layer.data || []).forEach((entry, index) => {
+      if (entry == null || typeof entry !== 'object') return
+      // Objects without `files` apply to all files, unless all they set
+      // are `ignores`, which makes them global ignores.
+      const all = entry.files == null
+      if (all && Object.keys(entry).every(key => key === 'ignores')) return
+      if (!_matchesFiles(path, base, all ? '**' : entry.files, entry.ignores, true)) return
+      layers.push(Object.assign({}, layer, {
+        kind: 'override',
+        line: lines[index] || null,
+        config: config,
+        files: all ? null : [].concat(entry.files),
+        data: entry
+      }))
+    })
+    return layers
+  }
+
+  ESLint.configChain(path).reverse().forEach(file => {
+    const layer = _readLayer(file)
+    const data = layer.data != null && typeof layer.data === 'object' ? layer.data : {}
+    _addExtends(layers, data.extends, file)
+    layers.push(Object.assign(layer, { kind: 'file', line: null }))
+
+    const base = nova.path.dirname(file)
+    const lines = layer.lines.get(data.overrides) || {}
+    ;[].concat(data.overrides || []).forEach((override, index) => {
+      if (override == null || typeof override !== 'object') return
+      if (!_matchesFiles(path, base, override.files, override.excludedFiles)) return
+      _addExtends(layers, override.extends, file)
+      layers.push({
+        kind: 'override',
+        path: file,
+        line: lines[index] || null,
+        config: file,
+        files: [].concat(override.files),
+        data: override,
+        lines: layer.lines
+      })
+    })
+  })
+  return layers
+}
+
+/**
+ * A place a rule is configured in.
+ * @typedef RuleSource
+ * @property {object} layer - The {@link ConfigLayer} configuring the rule.
+ * @property {?number} line - The line the rule is configured on (if known).
+ * @property {*} setting - The rule’s setting, i.e. its severity and options.
+ */
+
+/**
+ * Find the configuration layers setting a rule, in the order ESLint
+ * merges them (i.e. the last one sets the rule’s severity). Places
+ * merged more than once are only listed once.
+ * @returns {Array.<RuleSource>} The layers setting the rule.
+ * @param {Array.<ConfigLayer>} layers - The layers to search
+ * (see {@link configLayers}).
+ * @param {string} rule - The rule ID.
+ */
+exports.ruleSources = function (layers, rule) {
+  const sources = []
+  layers.forEach(layer => {
+    const rules = layer.data != null ? layer.data.rules : null
+    if (rules == null || typeof rules !== 'object' || !(rule in rules)) return
+    const lines = layer.lines.get(rules) || {}
+    sources.push({ layer: layer, line: lines[rule] || layer.line, setting: rules[rule] })
+  })
+
+  // Configurations extended more than once only count where ESLint merges them last.
+  const place = source => `${source.layer.path}:${source.line}`
+  return sources.filter((source, index) => {
+    return !sources.slice(index + 1).some(later => place(later) === place(source))
+  })
+}
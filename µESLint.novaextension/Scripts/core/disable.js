@@ -0,0 +1,268 @@
+/**
+ * @file Core extension rule disabling functionality.
+ */
+const { unusedDirectiveCode } = require('./eslint')
+const { getFixes } = require('./fixes')
+const { inScript, scriptStart } = require('./syntaxes')
+const { getDocumentText } = require('../lib/document')
+const { prefixCommand } = require('../lib/extension')
+
+/**
+ * Syntaxes whose documents mix markup and script code; markup parts
+ * need HTML comments to disable rules in.
+ */
+const markupSyntaxes = ['html', 'markdown', 'svelte', 'vue', 'xml']
+
+/**
+ * Comment delimiters, by comment style.
+ */
+const delimiters = {
+  line: ['//', ''],
+  block: ['/*', ' */'],
+  jsx: ['{/*', ' */}'],
+  html: ['<!--', ' -->']
+}
+
+/**
+ * Check if a line is JSX child content, where line comments do not work.
+ * This is a heuristic: the line starts with an element or expression
+ * container, and the previous line ends an opening or closing tag.
+ * @returns {boolean} Whether the line looks like JSX child content.
+ * @param {Array.<string>} lines - The document’s lines.
+ * @param {number} index - The 0-based index of the line to check.
+ * @private
+ */
+function _inJSX (lines, index) {
+  if (!/^\s*[<{]/.test(lines[index])) return false
+  const previous = lines.slice(0, index).reverse().find(line => line.trim().length)
+  return previous != null && /[^=]>\s*$/.test(previous)
+}
+
+/**
+ * Get the comment style to use for a line of a document.
+ * @returns {string} The comment style, i.e. “line” or “html”, or “jsx”
+ * (which is also used instead of the “block” style inside JSX).
+ * @param {object} doc - The {@link TextDocument} to check.
+ * @param {Array.<string>} lines - The document’s lines.
+ * @param {number} index - The 0-based index of the line to check.
+ * @private
+ */
+function _styleAt (doc, lines, index) {
+  const syntax = (doc.syntax || '').toLowerCase()
+  if (markupSyntaxes.includes(syntax) && !inScript(lines, index, syntax)) return 'html'
+  if (/jsx|tsx|javascript|typescript/.test(syntax) && _inJSX(lines, index)) return 'jsx'
+  return 'line'
+}
+
+/**
+ * Build a directive comment.
+ * @returns {string} The comment.
+ * @param {string} style - The comment style (see {@link delimiters}).
+ * @param {string} directive - The ESLint directive, e.g. “eslint-disable”.
+ * @param {string} rule - The ID of the rule to disable.
+ * @private
+ */
+function _comment (style, directive, rule) {
+  const [start, end] = delimiters[style]
+  return `${start} ${directive} ${rule}${end}`
+}
+
+/**
+ * Get the offset of the start of a line.
+ * @returns {number} The offset.
+ * @param {Array.<string>} lines - The document’s lines.
+ * @param {number} index - The 0-based index of the line.
+ * @param {string} eol - The document’s line ending.
+ * @private
+ */
+function _lineStart (lines, index, eol) {
+  return lines.slice(0, index).reduce((offset, line) => offset + line.length + eol.length, 0)
+}
+
+/**
+ * Disable a rule for the line of an issue, adding to the directive
+ * on the line above if there is one.
+ * @returns {Promise} Resolves when the edit has been applied.
+ * @param {object} editor - The {@link TextEditor} to edit.
+ * @param {object} issue - The {@link Issue} to disable the rule of.
+ * @private
+ */
+function _disableLine (editor, issue) {
+  const doc = editor.document
+  const eol = doc.eol || '\n'
+  const lines = getDocumentText(doc).split(eol)
+  const index = issue.line - 1
+  const previous = index > 0 ? lines[index - 1] : ''
+
+  // Extend an existing directive: `// eslint-disable-next-line a` → `a, b`.
+  // Rules are listed before the closing delimiter and an optional description.
+  const existing = /^(\s*(?:\/\/|\/\*|\{\/\*|<!--)\s*eslint-disable-next-line\s+(?:(?!\s--).)+?)((?:\s+--\s.*?)?\s*(?:\*\/\}|\*\/|-->)?)\s*$/.exec(previous)
+  if (existing != null && !existing[1].split(/[\s,]+/).includes(issue.code)) {
+    const offset = _lineStart(lines, index - 1, eol) + existing[1].length
+    return editor.edit(edit => edit.insert(offset, `, ${issue.code}`))
+  }
+
+  const style = _styleAt(doc, lines, index)
+  const indent = /^\s*/.exec(lines[index])[0]
+  const comment = _comment(style, 'eslint-disable-next-line', issue.code)
+  const offset = _lineStart(lines, index, eol)
+  return editor.edit(edit => edit.insert(offset, `${indent}${comment}${eol}`))
+}
+
+/**
+ * Disable a rule for a whole document, with a directive at its top
+ * (below a shebang line, if there is one). In documents with embedded
+ * scripts, ESLint only sees directives in script code, so the directive
+ * for an issue in a script goes at the top of that script instead.
+ * @returns {Promise} Resolves when the edit has been applied.
+ * @param {object} editor - The {@link TextEditor} to edit.
+ * @param {object} issue - The {@link Issue} to disable the rule of.
+ * @private
+ */
+function _disableFile (editor, issue) {
+  const doc = editor.document
+  const eol = doc.eol || '\n'
+  const lines = getDocumentText(doc).split(eol)
+  const syntax = (doc.syntax || '').toLowerCase()
+  const script = markupSyntaxes.includes(syntax)
+    ? scriptStart(lines, issue.line - 1, syntax)
+    : null
+  const index = script != null ? script : lines[0].startsWith('#!') ? 1 : 0
+  const style = _styleAt(doc, lines, index) === 'html' ? 'html' : 'block'
+  const indent = script != null ? /^\s*/.exec(lines[index] || '')[0] : ''
+  const offset = _lineStart(lines, index, eol)
+  const comment = _comment(style, 'eslint-disable', issue.code)
+  return editor.edit(edit => edit.insert(offset, `${indent}${comment}${eol}`))
+}
+
+/**
+ * Disable a rule for the lines of the selection, with a pair of
+ * disable / enable directives around them.
+ * @returns {Promise} Resolves when the edit has been applied.
+ * @param {object} editor - The {@link TextEditor} to edit.
+ * @param {object} issue - The {@link Issue} to disable the rule of.
+ * @private
+ */
+function _disableSelection (editor, issue) {
+  const doc = editor.document
+  const eol = doc.eol || '\n'
+  const text = getDocumentText(doc)
+  const lines = text.split(eol)
+  const { start, end } = editor.selectedRange
+  const lineOf = offset => text.slice(0, offset).split(eol).length - 1
+  const first = lineOf(start)
+  const endLine = lineOf(end)
+  // A selection ending at the start of a line does not include that line.
+  const last = endLine > first && _lineStart(lines, endLine, eol) === end
+    ? endLine - 1
+    : endLine
+
+  let style = _styleAt(doc, lines, first)
+  if (style === 'line') style = 'block'
+  const indent = /^\s*/.exec(lines[first])[0]
+  const disable = `${indent}${_comment(style, 'eslint-disable', issue.code)}${eol}`
+  const enable = `${eol}${indent}${_comment(style, 'eslint-enable', issue.code)}`
+  const from = _lineStart(lines, first, eol)
+  const to = _lineStart(lines, last, eol) + lines[last].length
+
+  // Insert back to front, so the first insertion does not shift the second.
+  return editor.edit(edit => {
+    edit.insert(to, enable)
+    edit.insert(from, disable)
+  })
+}
+
+/**
+ * Remove an unused directive reported by ESLint: either the rule it
+ * was unused for from its rule list, or the whole directive comment
+ * (and its line, if the comment is all there is on it).
+ * @returns {Promise} Resolves when the edit has been applied.
+ * @param {object} editor - The {@link TextEditor} to edit.
+ * @param {object} issue - The unused directive {@link Issue}.
+ * @private
+ */
+function _removeDirective (editor, issue) {
+  const doc = editor.document
+  const eol = doc.eol || '\n'
+  const lines = getDocumentText(doc).split(eol)
+  const index = issue.line - 1
+  const line = lines[index]
+  const lineStart = _lineStart(lines, index, eol)
+
+  const comments = []
+  const pattern = /\{?\/\*.*?\*\/\}?|<!--.*?-->|\/\/.*$/g
+  let match
+  while ((match = pattern.exec(line)) !== null) {
+    if (/eslint-(disable|enable)/.test(match[0])) comments.push(match)
+  }
+  if (!comments.length) return Promise.resolve()
+  const column = issue.column - 1
+  const comment = comments.find(found => {
+    return found.index <= column && found.index + found[0].length > column
+  }) || comments[0]
+
+  // Directive rule lists end at the closing delimiter or a description.
+  const rule = /\bfrom '([^']+)'/.exec(issue.message)
+  const parts = /^(.*?eslint-(?:disable|enable)(?:-next-line|-line)?\s+)((?:(?!\s--|\s*\*\/|\s*-->).)+)(.*)$/.exec(comment[0])
+  if (rule != null && parts != null) {
+    const rules = parts[2].split(',').map(item => item.trim())
+    if (rules.length > 1) {
+      const kept = rules.filter(item => item !== rule[1]).join(', ')
+      const start = lineStart + comment.index + parts[1].length
+      const range = new Range(start, start + parts[2].length)
+      return editor.edit(edit => edit.replace(range, kept))
+    }
+  }
+
+  if (line.trim() === comment[0]) {
+    const end = index < lines.length - 1 ? lineStart + line.length + eol.length : lineStart + line.length
+    return editor.edit(edit => edit.delete(new Range(lineStart, end)))
+  }
+  const leading = /\s*$/.exec(line.slice(0, comment.index))[0].length
+  const start = lineStart + comment.index - leading
+  const end = lineStart + comment.index + comment[0].length
+  return editor.edit(edit => edit.delete(new Range(start, end)))
+}
+
+/**
+ * A rule disabling choice.
+ * @typedef DisableAction
+ * @property {string} title - The title to offer the user.
+ * @property {Function} apply - Applies the action, returns a Promise.
+ */
+
+/**
+ * Get the actions disabling the rules of a set of issues: for the issue’s
+ * line, for the whole file and, if there is a selection, for its lines.
+ * For unused directive issues, the action removes the directive.
+ * @returns {Array.<DisableAction>} The actions.
+ * @param {object} editor - The {@link TextEditor} the issues belong to.
+ * @param {Array.<object>} issues - The {@link Issue}s at the selection.
+ */
+exports.disableActions = function (editor, issues) {
+  const id = `${prefixCommand()}.fix-issue`
+  const seen = new Set()
+  const actions = []
+  const hasSelection = editor.selectedRange.length > 0
+
+  issues.filter(issue => issue.code != null && issue.line > 0).forEach(issue => {
+    // ESLint versions that know how to fix these offer that fix already.
+    if (issue.code === unusedDirectiveCode) {
+      if (getFixes(issue) == null) {
+        const title = nova.localize(`${id}.remove-directive`)
+        actions.push({ title: title, apply: () => _removeDirective(editor, issue) })
+      }
+      return
+    }
+
+    if (seen.has(issue.code)) return
+    seen.add(issue.code)
+    const title = key => nova.localize(`${id}.${key}`).replace('{rule}', issue.code)
+    actions.push({ title: title('disable-line'), apply: () => _disableLine(editor, issue) })
+    if (hasSelection) {
+      actions.push({ title: title('disable-selection'), apply: () => _disableSelection(editor, issue) })
+    }
+    actions.push({ title: title('disable-file'), apply: () => _disableFile(editor, issue) })
+  })
+  return actions
+}
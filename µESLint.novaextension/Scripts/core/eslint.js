@@ -1,29 +1,101 @@
 /**
  * @file ESLint linter class file.
  */
+const { attachFixes } = require('./fixes')
+const { attachRule } = require('./rules')
 const { tmpDir } = require('../lib/extension')
-const { homePath } = require('../lib/path')
+const { parseExports, parseLiteral } = require('../lib/literal')
 const { runAsync } = require('../lib/process')
-const { requireJSON } = require('../lib/utils')
+const { readFile, requireJSON } = require('../lib/utils')
+const yaml = require('../vendor/js-yaml/index')
+
+/**
+ * The code of the issues reported for unused `eslint-disable` directives
+ * (ESLint reports these without a rule ID).
+ */
+const unusedDirectiveCode = 'unused-disable-directive'
+
+/**
+ * The directory configuration file searches stop at (`null` for none,
+ * i.e. the filesystem root).
+ */
+let searchBoundary = null
 
 class ESLint {
   /**
    * An ESLint CLI instance.
    * @param {string} binPath - The path to the binary to use.
+   * @param {object} [options] - Binary options.
+   * @param {boolean} [options.script] - Whether the binary is a Node script
+   * that needs to be run by Node (e.g. a Yarn SDK wrapper).
+   * @param {string} [options.preload] - The path to a module Node needs to
+   * preload for the binary to run (e.g. a Yarn Plug’n’Play runtime).
    * @property {string} binary - The path to the ESLint binary.
+   * @property {boolean} needsNode - Whether the binary can only be run by Node.
+   * @property {?string} preload - The path to the module to preload.
+   * @property {?object} server - The {@link ESLintServer} to use in preference
+   * to the CLI, if any. The CLI is used as a fallback when the server fails.
+   * @property {?string} node - The path to the Node executable to run the
+   * ESLint binary with, if any; when not set, the binary is run directly
+   * (which means it must be set for binaries that need Node).
+   * @property {boolean} reportUnused - Whether to report unused
+   * `eslint-disable` directives when linting.
    */
-  constructor (binPath) {
+  constructor (binPath, options) {
     const _path = nova.path.normalize(binPath)
+    const _opts = options || {}
+    const _preload = _opts.preload || null
+    const _needsNode = _opts.script === true || _preload != null
     Object.defineProperties(this, {
       binary: { get: () => _path },
-      valid: { get: () => nova.fs.access(_path, nova.fs.X_OK) }
+      needsNode: { get: () => _needsNode },
+      preload: { get: () => _preload },
+      // Binaries loaded through a preloaded module live in zip archives.
+      valid: {
+        get: () => _preload != null
+          ? nova.fs.access(_preload, nova.fs.R_OK)
+          : nova.fs.access(_path, _needsNode ? nova.fs.R_OK : nova.fs.X_OK)
+      }
     })
+    this.server = null
+    this.node = null
+    this.reportUnused = false
+    this._version = null
+    this._withMeta = null
+  }
+
+  /**
+   * The directory searches for configuration and ignore files stop at,
+   * for files inside of it (files outside of it are searched for up to
+   * the filesystem root). `null` means the filesystem root.
+   * @returns {?string} The path to the directory.
+   */
+  static get boundary () {
+    return searchBoundary
+  }
+
+  static set boundary (path) {
+    searchBoundary = path ? nova.path.normalize(path).replace(/(.)\/+$/, '$1') : null
+  }
+
+  /**
+   * Get the directory a search starting in a directory stops at.
+   * @returns {?string} The path to the last directory to search
+   * (`null` for the filesystem root).
+   * @param {string} dir - The directory the search starts in.
+   * @private
+   */
+  static _boundaryFor (dir) {
+    const boundary = searchBoundary
+    if (boundary == null) return null
+    return dir === boundary || dir.startsWith(`${boundary}/`) ? boundary : null
   }
 
   /**
    * Get the ESLint config or ignore file closest to a file path.
    * Will look upwards through directories until it either finds a configuration
-   * file or it reaches the user’s home directory.
+   * file or it reaches the search boundary (see {@link ESLint.boundary}).
+   * The path need not exist, i.e. it can be that of a virtual file.
    * @returns {?string} The path to the ESLint configuration file (if any).
    * @param {string} forPath – The path to check.
    * @param {string|Array.<string>} configFileNames - An ordered set of config file
@@ -34,15 +106,18 @@ class ESLint {
    * @private
    */
   static _getConfig (forPath, configFileNames, packageSection) {
-    const home = homePath()
     const names = [].concat(configFileNames)
     if (packageSection) names.push('package.json')
 
-    const path = nova.path.normalize(forPath)
-    let dir = nova.fs.stat(path).isFile() ? nova.path.dirname(path) : path
-    if (!dir.startsWith(home)) return null
+    const isDir = path => {
+      const stat = nova.fs.stat(path)
+      return stat != null && stat.isDirectory()
+    }
+    let dir = nova.path.normalize(forPath)
+    while (!isDir(dir) && nova.path.dirname(dir) !== dir) dir = nova.path.dirname(dir)
+    const boundary = ESLint._boundaryFor(dir)
 
-    do {
+    for (;;) {
       const inDir = nova.fs.listdir(dir).map(name => name.toLowerCase())
       const found = names.find(name => inDir.includes(name))
       if (found) {
@@ -55,21 +130,130 @@ class ESLint {
           }
         }
       }
-      dir = nova.path.dirname(dir)
-    } while (dir !== home)
+
+      const parent = nova.path.dirname(dir)
+      if (dir === boundary || parent === dir) break
+      dir = parent
+    }
 
     return null
   }
 
   /**
-   * Find the ESLint configuration file(s) for a path.
-   * ESLint configuration file format precedence will be respected.
+   * Find the ESLint configuration file for a path.
+   * ESLint configuration file format precedence will be respected: a flat
+   * config file (`eslint.config.*`) anywhere up the directory hierarchy
+   * takes precedence over legacy `.eslintrc*` files, unless the user’s
+   * environment sets `ESLINT_USE_FLAT_CONFIG` to override that.
    * @see {@link https://eslint.org/docs/user-guide/configuring#configuration-file-formats}
-   * @returns {?Array.<string>} The paths to the ESLint configuration file (if any).
+   * @see {@link https://eslint.org/docs/latest/use/configure/configuration-files}
+   * @returns {?string} The path to the ESLint configuration file (if any).
    * @param {string} forPath – The path to check.
    */
   static config (forPath) {
-    const names = [
+    const useFlat = nova.environment.ESLINT_USE_FLAT_CONFIG
+    if (useFlat !== 'false') {
+      const flat = ESLint._getConfig(forPath, ESLint.flatConfigNames)
+      if (flat != null || useFlat === 'true') return flat
+    }
+
+    return ESLint._getConfig(forPath, ESLint.legacyConfigNames, 'eslintConfig')
+  }
+
+  /**
+   * Find the legacy ESLint configuration files applying to a path, i.e. the
+   * cascade of `.eslintrc*` files (and package.json `eslintConfig` sections)
+   * up to the first one with `root: true`, or the search boundary.
+   * @see {@link https://eslint.org/docs/latest/use/configure/configuration-files#cascading-and-hierarchy}
+   * @returns {Array.<string>} The paths to the configuration files, the
+   * closest one first (an empty array if there are none).
+   * @param {string} forPath – The path to check.
+   */
+  static configChain (forPath) {
+    const chain = []
+    let found = ESLint._getConfig(forPath, ESLint.legacyConfigNames, 'eslintConfig')
+    while (found != null) {
+      chain.push(found)
+      if (ESLint.isRootConfig(found)) break
+
+      const dir = nova.path.dirname(found)
+      const parent = nova.path.dirname(dir)
+      if (parent === dir || dir === ESLint._boundaryFor(dir)) break
+      found = ESLint._getConfig(parent, ESLint.legacyConfigNames, 'eslintConfig')
+    }
+    return chain
+  }
+
+  /**
+   * Check if an ESLint configuration file ends the configuration cascade:
+   * legacy configuration files do when they set `root` to `true`, flat
+   * config files always do.
+   * @returns {boolean} Whether the file is a root configuration (`false`
+   * if it cannot be parsed).
+   * @param {string} path - The path to the configuration file.
+   */
+  static isRootConfig (path) {
+    if (ESLint.isFlatConfig(path)) return true
+    const config = ESLint.readConfig(path)
+    return config != null && typeof config === 'object' && config.root === true
+  }
+
+  /**
+   * Read an ESLint configuration file without running any code: JSON (with
+   * comments, as ESLint allows them) and YAML files are parsed, JavaScript
+   * files statically evaluated (see {@link parseExports}), which means only
+   * the literal parts of what they export are known.
+   * @returns {?*} The configuration (the `eslintConfig` section for
+   * package.json files; `null` if the file cannot be read or parsed).
+   * @param {string} path - The path to the configuration file.
+   * @param {Map} [lines] - A Map to fill with the lines the configuration’s
+   * keys are found on (not for YAML files; see {@link parseExports}).
+   */
+  static readConfig (path, lines) {
+    try {
+      if (!nova.fs.access(path, nova.fs.R_OK)) return null
+      const name = nova.path.basename(path).toLowerCase()
+      const source = readFile(path)
+      if (source == null) return null
+      let config
+      if (name === 'package.json') {
+        const pkg = parseExports(`module.exports = ${source}`, lines)
+        return pkg != null && pkg.eslintConfig != null ? pkg.eslintConfig : null
+      }
+
+      switch (nova.path.extname(name)) {
+        case '.yaml':
+        case '.yml':
+          config = yaml.safeLoad(source)
+          break
+
+        case '.json':
+          config = parseExports(`module.exports = ${source}`, lines)
+          break
+
+        case '':
+          // `.eslintrc` files can be either JSON or YAML.
+          config = parseLiteral(source)
+          if (config === undefined) config = yaml.safeLoad(source)
+          break
+
+        default:
+          config = parseExports(source, lines)
+      }
+      return config != null ? config : null
+    } catch (error) {
+      // We really don’t want parsing errors to mess this up…
+      console.warn(error)
+      return null
+    }
+  }
+
+  /**
+   * The legacy config file names, in ESLint’s lookup order.
+   * @returns {Array.<string>} The file names.
+   */
+  static get legacyConfigNames () {
+    return [
       '.eslintrc.js',
       '.eslintrc.cjs',
       '.eslintrc.yaml',
@@ -77,72 +261,389 @@ class ESLint {
       '.eslintrc.json',
       '.eslintrc'
     ]
-    return ESLint._getConfig(forPath, names, 'eslintConfig')
   }
 
   /**
-   * Find the ESLint ignore file for a path.
+   * The flat config file names, in ESLint’s lookup order.
+   * @returns {Array.<string>} The file names.
+   */
+  static get flatConfigNames () {
+    return [
+      'eslint.config.js',
+      'eslint.config.mjs',
+      'eslint.config.cjs',
+      'eslint.config.ts',
+      'eslint.config.mts',
+      'eslint.config.cts'
+    ]
+  }
+
+  /**
+   * Check if a configuration file is a flat config file. Flat config files
+   * do not cascade: the one found is the only one ESLint uses.
+   * @returns {boolean} Whether the file is a flat config file.
+   * @param {string} path - The path to the configuration file.
+   */
+  static isFlatConfig (path) {
+    const name = nova.path.basename(path).toLowerCase()
+    return ESLint.flatConfigNames.includes(name)
+  }
+
+  /**
+   * Check if a file is one ESLint reads configuration from: a config file,
+   * an ignore file or a package.json file (which can hold both).
+   * @returns {boolean} Whether the file affects ESLint’s configuration.
+   * @param {string} path - The path to the file.
+   */
+  static isConfigSource (path) {
+    const name = nova.path.basename(path).toLowerCase()
+    return ['package.json', '.eslintignore'].includes(name) ||
+      ESLint.legacyConfigNames.includes(name) ||
+      ESLint.flatConfigNames.includes(name)
+  }
+
+  /**
+   * Find the ESLint ignore file for a path. Flat configs do not use
+   * ignore files, so there is none when a flat config applies.
    * @returns {?string} The path to the ESLint ignore file (if any).
    * @param {string} forPath – The path to check.
    */
   static ignore (forPath) {
+    const config = ESLint.config(forPath)
+    if (config != null && ESLint.isFlatConfig(config)) return null
     return ESLint._getConfig(forPath, '.eslintignore', 'eslintIgnore')
   }
 
   /**
-   * Get issues reported by ESLint for a source document.
-   * @returns {Promise} Asynchronous issues collection.
+   * Check if a rule configuration entry switches the rule on.
+   * @returns {boolean} Whether the rule is active.
+   * @param {*} entry - The rule configuration entry, i.e. a severity
+   * or an array whose first item is a severity.
+   */
+  static ruleIsActive (entry) {
+    const severity = Array.isArray(entry) ? entry[0] : entry
+    return severity != null && severity !== 0 && severity !== 'off'
+  }
+
+  /**
+   * Run a source document through the ESLint server, if there is one.
+   * @returns {Promise} Resolves to the ESLint results, or to `null`
+   * if there is no usable server (and the CLI should be used instead).
    * @param {string} source - The source code to lint.
    * @param {string} path - The file path the source belongs to.
    * @param {?string} cwd - The directory to run ESLint in (defaults to the
    * directory containing the file to lint, i.e. `dirname(path)`).
-   * @throws {Error} 'ProcessError' when running the eslint executable fails.
+   * @param {object} [params] - Additional server lint parameters.
+   * @param {object} [token] - A {@link CancellationToken} for the request.
+   * @throws {Error} 'CancelError' when the request was cancelled.
+   * @private
    */
-  async lint (source, path, cwd) {
-    const args = ['-f', 'json', '--stdin', '--stdin-filename', path]
+  async _serve (source, path, cwd, params, token) {
+    const server = this.server
+    if (server == null || !server.running) return null
 
-    // Use caching if we can get hold of the temp directory.
-    // Failure to do so just slightly degrades performance,
-    // so that is not a show stopper.
+    const dir = cwd || nova.path.dirname(path)
+    const request = Object.assign({ text: source, filePath: path, cwd: dir }, params)
     try {
-      args.push('--cache', '--cache-location', tmpDir())
+      return ESLint._results(await server.lint(request, token))
     } catch (error) {
-      console.warn(error)
+      if (error.name === 'CancelError') throw error
+      console.warn(`Falling back to the ESLint CLI: ${error.message}`)
+      return null
     }
+  }
 
-    // ESLint is rather finicky about from where it is run, as plugins
-    // and some parsers base their configuration on relative paths.
-    const dir = cwd || nova.path.dirname(path)
-    const opts = { args: args, cwd: dir, shell: false }
-    const { code, stderr, stdout } = await runAsync(this.binary, opts, source)
+  /**
+   * Run the ESLint binary, through the Node executable set (if any).
+   * @returns {Promise} Resolves to the results of {@link runAsync}.
+   * @param {Array.<string>} args - The ESLint arguments.
+   * @param {string} cwd - The directory to run ESLint in.
+   * @param {?string} stdin - The input to pass on stdin (if any).
+   * @param {object} [token] - A {@link CancellationToken} for the process.
+   * @private
+   */
+  _spawn (args, cwd, stdin, token) {
+    const path = this.node || this.binary
+    const preload = this.preload != null ? ['-r', this.preload] : []
+    const opts = {
+      args: this.node ? preload.concat(this.binary, args) : args,
+      cwd: cwd,
+      shell: false
+    }
+    return runAsync(path, opts, stdin, token)
+  }
+
+  /**
+   * Run ESLint, returning its parsed JSON report.
+   * @returns {Promise} Resolves to the ESLint results (an empty array if
+   * ESLint reported nothing).
+   * @param {Array.<string>} args - The ESLint arguments.
+   * @param {string} cwd - The directory to run ESLint in.
+   * @param {?string} stdin - The input to pass on stdin (if any).
+   * @param {object} [token] - A {@link CancellationToken} for the process.
+   * @throws {Error} 'ProcessError' when running the eslint executable fails;
+   * 'CancelError' when the process was terminated through the token.
+   * @private
+   */
+  async _exec (args, cwd, stdin, token) {
+    const { code, stderr, stdout } = await this._spawn(args, cwd, stdin, token)
     if (code > 1) {
       const error = new Error(`Exit code ${code}: ${stderr}`)
       error.name = 'ProcessError'
       throw error
     }
 
-    const issues = []
-
-    if (stdout && stdout.trim().length) {
-      JSON.parse(stdout)[0].messages.forEach(message => {
-        const issue = new Issue()
-        issue.source = nova.extension.name
-        issue.message = message.message
-        issue.code = message.ruleId
-        issue.line = message.line || 0
-        issue.column = message.column || 0
-        issue.endLine = message.endLine || issue.line
-        issue.endColumn = message.endColumn || issue.column
-        issue.severity = (message.fatal || message.severity === 2)
-          ? IssueSeverity.Error
-          : IssueSeverity.Warning
-
-        issues.push(issue)
+    return ESLint._results(stdout && stdout.trim().length ? JSON.parse(stdout) : [])
+  }
+
+  /**
+   * Normalise an ESLint report: the `json` formatter outputs the results
+   * array, the `json-with-metadata` one an object with the results and the
+   * metadata of the rules reported. Rule metadata is merged into the
+   * messages (as `ruleMeta`).
+   * @returns {Array.<object>} The ESLint results.
+   * @param {Array|object} report - The parsed report.
+   * @private
+   */
+  static _results (report) {
+    if (Array.isArray(report)) return report
+    const meta = (report.metadata && report.metadata.rulesMeta) || {}
+    report.results.forEach(result => {
+      result.messages.forEach(message => {
+        if (message.ruleId && meta[message.ruleId]) message.ruleMeta = meta[message.ruleId]
       })
+    })
+    return report.results
+  }
+
+  /**
+   * Get the formatter arguments: we prefer the JSON formatter including
+   * rule metadata, but that is only available from ESLint 7 on.
+   * @returns {Promise} Resolves to the arguments.
+   * @param {string} cwd - The directory to run ESLint in.
+   * @private
+   */
+  async _formatArgs (cwd) {
+    if (this._withMeta == null) {
+      try {
+        const major = /^v?(\d+)/.exec(await this.version(cwd))
+        this._withMeta = major != null && Number(major[1]) >= 7
+      } catch (error) {
+        console.warn(error)
+        this._withMeta = false
+      }
+    }
+    return ['-f', this._withMeta ? 'json-with-metadata' : 'json']
+  }
+
+  /**
+   * Run ESLint on a source document, returning its parsed JSON report.
+   * @returns {Promise} Resolves to the ESLint results (an empty array if
+   * ESLint reported nothing).
+   * @param {Array.<string>} args - The ESLint arguments to add to the
+   * JSON output and source-on-stdin defaults.
+   * @param {string} source - The source code to pass on stdin.
+   * @param {string} path - The file path the source belongs to.
+   * @param {?string} cwd - The directory to run ESLint in (defaults to the
+   * directory containing the file to lint, i.e. `dirname(path)`).
+   * @param {object} [token] - A {@link CancellationToken} for the process.
+   * @throws {Error} 'ProcessError' when running the eslint executable fails;
+   * 'CancelError' when the process was terminated through the token.
+   * @private
+   */
+  async _run (args, source, path, cwd, token) {
+    // ESLint is rather finicky about from where it is run, as plugins
+    // and some parsers base their configuration on relative paths.
+    const dir = cwd || nova.path.dirname(path)
+    const format = await this._formatArgs(dir)
+    const allArgs = format.concat('--stdin', '--stdin-filename', path, args)
+    return this._exec(allArgs, dir, source, token)
+  }
+
+  /**
+   * Get the arguments for the reports requested beyond rule violations.
+   * @returns {Array.<string>} The arguments (empty if none are requested).
+   * @private
+   */
+  _reportArgs () {
+    return this.reportUnused ? ['--report-unused-disable-directives'] : []
+  }
+
+  /**
+   * Get the arguments enabling ESLint’s cache. Failure to get hold of
+   * the temp directory just slightly degrades performance, so that is
+   * not a show stopper.
+   * @returns {Array.<string>} The arguments (empty if caching is not possible).
+   * @private
+   */
+  _cacheArgs () {
+    try {
+      return ['--cache', '--cache-location', tmpDir()]
+    } catch (error) {
+      console.warn(error)
+      return []
+    }
+  }
+
+  /**
+   * Convert the messages of an ESLint result to issues.
+   * @returns {Array.<object>} The {@link Issue}s.
+   * @param {Array.<object>} messages - The ESLint result messages.
+   * @private
+   */
+  _issues (messages) {
+    return messages.map(message => {
+      const issue = new Issue()
+      issue.source = nova.extension.name
+      issue.message = message.message
+      issue.code = message.ruleId
+      if (issue.code == null && /^Unused eslint-(disable|enable) directive/.test(message.message)) {
+        issue.code = unusedDirectiveCode
+      }
+      issue.line = message.line || 0
+      issue.column = message.column || 0
+      issue.endLine = message.endLine || issue.line
+      issue.endColumn = message.endColumn || issue.column
+      issue.severity = (message.fatal || message.severity === 2)
+        ? IssueSeverity.Error
+        : IssueSeverity.Warning
+
+      attachFixes(issue, message)
+      if (message.ruleMeta != null) attachRule(issue, message.ruleMeta)
+      return issue
+    })
+  }
+
+  /**
+   * Get issues reported by ESLint for a source document.
+   * The `fix` and `suggestions` data ESLint reports are attached to the issues
+   * (see {@link attachFixes}), as is the metadata of their rules, if ESLint
+   * reports it (see {@link attachRule}). Uses the ESLint server if one is set.
+   * @returns {Promise} Asynchronous issues collection.
+   * @param {string} source - The source code to lint.
+   * @param {string} path - The file path the source belongs to.
+   * @param {?string} cwd - The directory to run ESLint in (defaults to the
+   * directory containing the file to lint, i.e. `dirname(path)`).
+   * @param {object} [token] - A {@link CancellationToken} for the operation.
+   * @throws {Error} 'ProcessError' when running the eslint executable fails;
+   * 'CancelError' when the operation was cancelled through the token.
+   */
+  async lint (source, path, cwd, token) {
+    const params = { reportUnused: this.reportUnused }
+    let results = await this._serve(source, path, cwd, params, token)
+    if (results == null) {
+      const args = this._cacheArgs().concat(this._reportArgs())
+      results = await this._run(args, source, path, cwd, token)
     }
+    return results.length ? this._issues(results[0].messages) : []
+  }
 
+  /**
+   * Get issues reported by ESLint for a set of files on disk.
+   * @returns {Promise} Resolves to an object mapping the paths of all files
+   * ESLint has reported results for to their issues.
+   * @param {Array.<string>} paths - The paths of the files to lint.
+   * @param {string} cwd - The directory to run ESLint in.
+   * @param {?string} [ignorePath] - The ignore file to use (for legacy
+   * configurations only; ESLint uses the one in `cwd` by default).
+   * @param {object} [token] - A {@link CancellationToken} for the operation.
+   * @throws {Error} 'ProcessError' when running the eslint executable fails;
+   * 'CancelError' when the operation was cancelled through the token.
+   */
+  async lintFiles (paths, cwd, ignorePath, token) {
+    const format = await this._formatArgs(cwd)
+    const args = format.concat(this._cacheArgs(), this._reportArgs())
+    if (ignorePath) args.push('--ignore-path', ignorePath)
+
+    const results = await this._exec(args.concat(paths), cwd, null, token)
+    const issues = {}
+    results.forEach(result => {
+      issues[result.filePath] = this._issues(result.messages)
+    })
     return issues
   }
+
+  /**
+   * Get the source of a document with all auto-fixable problems fixed,
+   * without writing anything to disk (i.e. with `--fix-dry-run`).
+   * Uses the ESLint server if one is set.
+   * @returns {Promise} Resolves to the fixed source (`null` if ESLint
+   * did not fix anything).
+   * @param {string} source - The source code to fix.
+   * @param {string} path - The file path the source belongs to.
+   * @param {?string} cwd - The directory to run ESLint in (defaults to the
+   * directory containing the file to fix, i.e. `dirname(path)`).
+   * @param {object} [options] - Restrictions on the fixes applied.
+   * @param {Array.<string>} [options.types] - The fix types to apply (see
+   * ESLint’s `--fix-type`); all types are applied if this is empty.
+   * @param {Array.<string>} [options.rules] - The IDs of the rules whose
+   * fixes should be applied; all rules are applied if this is empty.
+   * @throws {Error} 'ProcessError' when running the eslint executable fails.
+   */
+  async fix (source, path, cwd, options) {
+    const { types, rules } = options || {}
+    const params = { fix: true, fixTypes: types, fixRules: rules }
+    let results = await this._serve(source, path, cwd, params)
+
+    if (results == null) {
+      const args = ['--fix-dry-run']
+      if (types && types.length) args.push('--fix-type', types.join(','))
+
+      // ESLint’s CLI has no option to restrict fixing to a set of rules,
+      // but switching off all other active rules has the same effect.
+      if (rules && rules.length) {
+        const config = await this.printConfig(path, cwd)
+        Object.keys(config.rules || {}).forEach(rule => {
+          if (!rules.includes(rule) && ESLint.ruleIsActive(config.rules[rule])) {
+            args.push('--rule', `${JSON.stringify(rule)}: off`)
+          }
+        })
+      }
+      results = await this._run(args, source, path, cwd)
+    }
+
+    const output = results.length ? results[0].output : null
+    return output != null && output !== source ? output : null
+  }
+
+  /**
+   * Get the version of the ESLint binary (cached after the first call).
+   * @returns {Promise} Resolves to the version string (e.g. “v8.57.0”).
+   * @param {string} cwd - The directory to run ESLint in.
+   * @throws {Error} 'ProcessError' when running the eslint executable fails.
+   */
+  async version (cwd) {
+    if (this._version == null) {
+      const { code, stderr, stdout } = await this._spawn(['--version'], cwd)
+      if (code > 0) {
+        const error = new Error(`Exit code ${code}: ${stderr}`)
+        error.name = 'ProcessError'
+        throw error
+      }
+      this._version = stdout.trim()
+    }
+    return this._version
+  }
+
+  /**
+   * Get the configuration ESLint resolves for a file (i.e. `--print-config`).
+   * @returns {Promise} Resolves to the parsed configuration object.
+   * @param {string} path - The file path to get the configuration for.
+   * @param {?string} cwd - The directory to run ESLint in (defaults to the
+   * directory containing the file, i.e. `dirname(path)`).
+   * @throws {Error} 'ProcessError' when running the eslint executable fails.
+   */
+  async printConfig (path, cwd) {
+    const dir = cwd || nova.path.dirname(path)
+    const { code, stderr, stdout } = await this._spawn(['--print-config', path], dir)
+    if (code > 0) {
+      const error = new Error(`Exit code ${code}: ${stderr}`)
+      error.name = 'ProcessError'
+      throw error
+    }
+    return JSON.parse(stdout)
+  }
 }
 
 exports.ESLint = ESLint
+exports.unusedDirectiveCode = unusedDirectiveCode
@@ -0,0 +1,210 @@
+/**
+ * @file Core extension quick fix functionality.
+ */
+const { getDocumentText } = require('../lib/document')
+const { prefixCommand } = require('../lib/extension')
+
+/**
+ * ESLint fix data attached to an Issue.
+ * @typedef FixData
+ * @property {?object} fix - The ESLint `fix` object (`range` and `text`).
+ * @property {Array.<object>} suggestions - The ESLint `suggestions` objects
+ * (`desc`, `fix`) in the order ESLint reported them.
+ */
+
+/**
+ * Fix data for the Issues created by ESLint. As Issue objects do not offer
+ * a way to carry custom data, we store it alongside, keyed by Issue.
+ */
+const attached = new WeakMap()
+
+/**
+ * Locatable issue sets by document URI.
+ * @property {string} source - The source text the issues were reported for.
+ * @property {Array.<number>} lines - The offsets of the source’s line starts.
+ * @property {Array.<object>} issues - The locatable {@link Issue}s.
+ */
+const documents = {}
+
+/**
+ * Get the offsets of all line starts in a text.
+ * @returns {Array.<number>} The offsets, in line order.
+ * @param {string} text - The text to parse.
+ * @private
+ */
+function _lineOffsets (text) {
+  const offsets = [0]
+  const eol = /\r\n|\r|\n/g
+  let match
+  while ((match = eol.exec(text)) !== null) {
+    offsets.push(match.index + match[0].length)
+  }
+  return offsets
+}
+
+/**
+ * Convert an ESLint position to a document offset.
+ * @returns {number} The offset.
+ * @param {Array.<number>} lines - The line start offsets of the document.
+ * @param {number} line - The 1-based line number.
+ * @param {number} column - The 1-based column number.
+ * @private
+ */
+function _offsetOf (lines, line, column) {
+  const start = lines[Math.min(line, lines.length) - 1]
+  return start + Math.max(column - 1, 0)
+}
+
+/**
+ * Attach the fix data of an ESLint message to the Issue created from it.
+ * @param {object} issue - The {@link Issue} created from the message.
+ * @param {object} message - The ESLint result message.
+ */
+exports.attachFixes = function (issue, message) {
+  const fix = message.fix || null
+  const suggestions = Array.isArray(message.suggestions)
+    ? message.suggestions.filter(suggestion => suggestion.fix != null)
+    : []
+  if (fix != null || suggestions.length) attached.set(issue, { fix, suggestions })
+}
+
+/**
+ * Get the fix data attached to an Issue.
+ * @returns {?FixData} The fix data (if any).
+ * @param {object} issue - The {@link Issue} to check.
+ */
+exports.getFixes = function (issue) {
+  return attached.get(issue) || null
+}
+
+/**
+ * Store the issues reported for a document’s source, so we can locate
+ * them (and their fixes) when the user acts on them.
+ * @param {string} uri - The URI of the document.
+ * @param {string} source - The source text the issues were reported for.
+ * @param {Array.<object>} issues - The {@link Issue}s reported.
+ */
+exports.storeFixes = function (uri, source, issues) {
+  const locatable = issues.filter(issue => issue.line > 0)
+  if (locatable.length) {
+    documents[uri] = { source, lines: _lineOffsets(source), issues: locatable }
+  } else {
+    exports.clearFixes(uri)
+  }
+}
+
+/**
+ * Forget the issues stored for a document.
+ * @param {string} [uri] - The URI of the document (all documents if omitted).
+ */
+exports.clearFixes = function (uri) {
+  const uris = uri != null ? [uri] : Object.keys(documents)
+  uris.forEach(key => { delete documents[key] })
+}
+
+/**
+ * A quick fix choice.
+ * @typedef QuickFix
+ * @property {string} title - The title to offer the user.
+ * @property {object} fix - The ESLint `fix` object to apply.
+ */
+
+/**
+ * Get the stored issues located at an editor’s selection. Issues
+ * intersecting the selection take precedence over those merely
+ * located on the selected lines.
+ * @returns {?Array.<object>} The {@link Issue}s, or `null` if the stored
+ * issues do not match the document’s current text (i.e. are out of date).
+ * @param {object} editor - The {@link TextEditor} to check.
+ */
+exports.issuesAt = function (editor) {
+  const doc = editor.document
+  const stored = documents[doc.uri]
+  if (stored == null) return []
+  if (stored.source !== getDocumentText(doc)) return null
+
+  const { lines, issues } = stored
+  const selected = editor.selectedRange
+  const rangeOf = issue => new Range(
+    _offsetOf(lines, issue.line, issue.column),
+    _offsetOf(lines, issue.endLine, issue.endColumn)
+  )
+  const lineOf = offset => lines.filter(start => start <= offset).length
+
+  let found = issues.filter(issue => {
+    const range = rangeOf(issue)
+    return range.intersectsRange(selected) ||
+      range.containsIndex(selected.start) ||
+      selected.containsIndex(range.start)
+  })
+  if (!found.length) {
+    const first = lineOf(selected.start)
+    const last = lineOf(selected.end)
+    found = issues.filter(issue => issue.line <= last && issue.endLine >= first)
+  }
+  return found
+}
+
+/**
+ * Get the quick fixes applicable at an editor’s selection.
+ * @returns {?Array.<QuickFix>} The fixes, or `null` if the stored fix data
+ * does not match the document’s current text (i.e. it is out of date).
+ * @param {object} editor - The {@link TextEditor} to check.
+ */
+exports.fixesAt = function (editor) {
+  const issues = exports.issuesAt(editor)
+  if (issues == null) return null
+
+  const found = issues.filter(issue => attached.has(issue))
+  const fixes = []
+  const id = `${prefixCommand()}.fix-issue`
+  const qualify = found.length > 1
+  found.forEach(issue => {
+    const { fix, suggestions } = attached.get(issue)
+    const suffix = qualify && issue.code ? ` (${issue.code})` : ''
+    if (fix != null) {
+      const title = nova.localize(`${id}.fix`)
+      fixes.push({ title: `${title}${suffix}`, fix: fix })
+    }
+    suggestions.forEach(suggestion => {
+      const title = nova.localize(`${id}.suggestion`)
+      fixes.push({ title: `${title}: ${suggestion.desc}${suffix}`, fix: suggestion.fix })
+    })
+  })
+  return fixes
+}
+
+/**
+ * Apply an ESLint fix to an editor’s document as one undoable edit.
+ * @returns {Promise} Resolves when the edit has been applied.
+ * @param {object} editor - The {@link TextEditor} to edit.
+ * @param {object} fix - The ESLint `fix` object (`range` and `text`).
+ */
+exports.applyFix = function (editor, fix) {
+  const [start, end] = fix.range
+  return editor.edit(edit => edit.replace(new Range(start, end), fix.text))
+}
+
+/**
+ * Replace a document’s source text with a fixed version as one undoable edit.
+ * Only the span between the first and the last difference is replaced,
+ * which keeps cursors and selections outside of it where they are.
+ * @returns {Promise} Resolves when the edit has been applied.
+ * @param {object} editor - The {@link TextEditor} to edit.
+ * @param {string} source - The document’s current source text.
+ * @param {string} fixed - The fixed source text.
+ */
+exports.applyFixedSource = function (editor, source, fixed) {
+  const max = Math.min(source.length, fixed.length)
+  let start = 0
+  while (start < max && source[start] === fixed[start]) start++
+  let end = 0
+  while (
+    end < max - start &&
+    source[source.length - 1 - end] === fixed[fixed.length - 1 - end]
+  ) end++
+
+  const range = new Range(start, source.length - end)
+  const text = fixed.slice(start, fixed.length - end)
+  return editor.edit(edit => edit.replace(range, text))
+}
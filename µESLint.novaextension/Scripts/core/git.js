@@ -0,0 +1,79 @@
+/**
+ * @file Core extension git functionality.
+ */
+const { runAsync } = require('../lib/process')
+
+/**
+ * Run git in a directory.
+ * @returns {string} The stdout output of git.
+ * @param {Array.<string>} args - The git arguments.
+ * @param {string} cwd - The directory to run git in.
+ * @throws {Error} 'GitError' when git returns a code > 0.
+ * @private
+ */
+async function _git (args, cwd) {
+  // Going through `env` locates git without exposing arguments to the shell.
+  const opts = { args: ['git'].concat(args), cwd: cwd, shell: false }
+  const { code, stderr, stdout } = await runAsync('/usr/bin/env', opts)
+  if (code > 0) {
+    const error = new Error(`Exit code ${code}: ${stderr}`)
+    error.name = 'GitError'
+    throw error
+  }
+  return stdout
+}
+
+/**
+ * Split NUL separated git output.
+ * @returns {Array.<string>} The output’s items.
+ * @param {string} output - The output of a git command run with `-z`.
+ * @private
+ */
+function _items (output) {
+  return output.split('\0').filter(item => item.length)
+}
+
+/**
+ * Get the files in a git work tree that are modified, staged or untracked,
+ * and, optionally, those changed since a base revision.
+ * @returns {Array.<string>} The absolute paths of the changed files
+ * (only those that exist: deleted files are left out).
+ * @param {string} dir - A directory in the git work tree.
+ * @param {?string} [baseRef] - The revision (e.g. “main”) to include changes
+ * since. The changes are those since the merge base of that revision and HEAD.
+ * @throws {Error} 'GitError' when `dir` is not in a git work tree,
+ * or when the base revision cannot be resolved to a commit.
+ */
+exports.changedFiles = async function (dir, baseRef) {
+  const root = (await _git(['rev-parse', '--show-toplevel'], dir)).trim()
+  const relative = new Set()
+
+  // Porcelain status entries are “XY path”, renames and copies
+  // are followed by an extra item with the original path.
+  const status = _items(await _git(['status', '--porcelain=v1', '-z', '--untracked-files=all'], root))
+  for (let index = 0; index < status.length; index++) {
+    const entry = status[index]
+    relative.add(entry.slice(3))
+    if (entry[0] === 'R' || entry[0] === 'C') index++
+  }
+
+  if (baseRef) {
+    // The revision comes from a setting projects can share, so it must
+    // not be able to pass options to git (`--end-of-options` needs git 2.24).
+    if (baseRef.startsWith('-')) {
+      const error = new Error(`Invalid base revision '${baseRef}'`)
+      error.name = 'GitError'
+      throw error
+    }
+    const base = (await _git(['rev-parse', '--verify', `${baseRef}^{commit}`], root)).trim()
+    const diff = await _git(['diff', '--name-only', '-z', `${base}...HEAD`, '--'], root)
+    _items(diff).forEach(path => relative.add(path))
+  }
+
+  return Array.from(relative)
+    .map(path => nova.path.join(root, path))
+    .filter(path => {
+      const stat = nova.fs.stat(path)
+      return stat != null && stat.isFile()
+    })
+}
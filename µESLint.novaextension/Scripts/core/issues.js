@@ -1,6 +1,8 @@
 /**
  * @file Core extension issues functionality.
  */
+const { embeddedSyntaxes, inScript, scriptSyntaxes } = require('./syntaxes')
+
 let lastLogged = null
 
 /**
@@ -8,8 +10,10 @@ let lastLogged = null
  * @returns {Array.<?object>} An array of {@link Issue} objects.
  * @param {Array.<?object>} issues - The {@link Issue}s to filter.
  * @param {object} document - The {@link TextDocument} the issues apply to.
+ * @param {?string} [text] - The document’s text (parsing errors in documents
+ * with embedded scripts are only kept if it is known).
  */
-exports.filterIssues = function (issues, document) {
+exports.filterIssues = function (issues, document, text) {
   if (issues.length === 1) {
     const issue = issues[0]
 
@@ -32,12 +36,19 @@ exports.filterIssues = function (issues, document) {
         // These are execution errors: discard but log (without flooding).
         if (lastLogged !== issue.message) console.warn(issue.message)
         lastLogged = issue.message
-      } else if (document.syntax.match(/\bjavascript\b/i)) {
-        // Keep only locatable parsing errors that stem from JS files.
+      } else {
+        // Keep only locatable parsing errors that stem from script code.
         // If we don’t do this, unlintable file formats (like, say, XML)
         // end up having parsing errors at random locations. Although
         // that would be technically correct, it makes for horrible UX.
-        return issues
+        // The same goes for documents with embedded scripts ESLint has no
+        // processor for: it chokes on their markup, not their scripts.
+        const syntax = (document.syntax || '').toLowerCase()
+        if (scriptSyntaxes.includes(syntax)) return issues
+        if (text != null && embeddedSyntaxes.includes(syntax)) {
+          const lines = text.split(document.eol || '\n')
+          if (inScript(lines, issue.line - 1, syntax)) return issues
+        }
       }
       return []
     }
@@ -46,6 +57,35 @@ exports.filterIssues = function (issues, document) {
   return issues
 }
 
+/**
+ * Fit the positions of ESLint issues into a document’s text. Processors
+ * mapping the issues of embedded scripts back to the document they were
+ * extracted from can report positions past the end of a line (or of the
+ * document), which Nova would show in the wrong place, if at all.
+ * Issues are adjusted in place.
+ * @returns {Array.<object>} The adjusted {@link Issue}s.
+ * @param {Array.<object>} issues - The {@link Issue}s to adjust.
+ * @param {string} text - The text of the document the issues apply to.
+ * @param {string} [eol] - The document’s line ending.
+ */
+exports.fitIssues = function (issues, text, eol) {
+  const lines = text.split(eol || '\n')
+  const fit = (line, column) => {
+    const index = Math.min(line, lines.length)
+    return [index, Math.min(column, lines[index - 1].length + 1)]
+  }
+  issues.forEach(issue => {
+    if (issue.line == null || issue.line < 1) return
+    const [line, column] = fit(issue.line, issue.column)
+    const [endLine, endColumn] = fit(issue.endLine, issue.endColumn)
+    issue.line = line
+    issue.column = column
+    issue.endLine = endLine
+    issue.endColumn = endLine === line ? Math.max(column, endColumn) : endColumn
+  })
+  return issues
+}
+
 /**
  * Checks if an issue set differs from the known one.
  * @returns {boolean} Whether the issue sets differ.
@@ -69,3 +109,78 @@ exports.changedIssues = function (known, incoming) {
     })
   })
 }
+
+/**
+ * The severity names users can map rules to, with the Nova severity
+ * they stand for (`null` switches the rule’s issues off).
+ * @returns {object} The severities, by name.
+ * @private
+ */
+function _severities () {
+  return {
+    error: IssueSeverity.Error,
+    warning: IssueSeverity.Warning,
+    info: IssueSeverity.Info,
+    hint: IssueSeverity.Hint,
+    off: null
+  }
+}
+
+/**
+ * The severity names users can map rules to.
+ */
+exports.severityNames = ['hint', 'info', 'warning', 'error', 'off']
+
+/**
+ * Parse rule severity overrides of the form “rule-id=severity”.
+ * @returns {Map} The Nova severities (`null` for “off”), by rule ID.
+ * @param {?Array.<string>} entries - The overrides to parse. Malformed
+ * entries and unknown severity names are skipped (with a warning).
+ */
+exports.parseSeverities = function (entries) {
+  const severities = _severities()
+  const parsed = new Map()
+  const list = entries || []
+  list.forEach(entry => {
+    const match = /^\s*(\S+?)\s*=\s*(\w+)\s*$/.exec(entry)
+    const name = match != null ? match[2].toLowerCase() : null
+    if (name == null || !(name in severities)) {
+      console.warn(`Ignoring malformed rule severity override “${entry}”.`)
+      return
+    }
+    parsed.set(match[1], severities[name])
+  })
+  return parsed
+}
+
+/**
+ * Options for adjusting the issues reported by ESLint.
+ * @typedef IssueOptions
+ * @property {Map} severities - The severities to report rules’ issues
+ * with (see {@link parseSeverities}).
+ * @property {Set.<string>} muted - The IDs of the rules to drop issues of.
+ * @property {boolean} warningsAsHints - Whether to report warnings as hints.
+ */
+
+/**
+ * Drop or remap ESLint issues as configured by the user. Issues
+ * are adjusted in place, as data is attached to the Issue objects.
+ * @returns {Array.<object>} The adjusted {@link Issue}s.
+ * @param {Array.<object>} issues - The {@link Issue}s to adjust.
+ * @param {IssueOptions} options - The adjustments to make.
+ */
+exports.adjustIssues = function (issues, options) {
+  const { severities, muted, warningsAsHints } = options
+  return issues.filter(issue => {
+    if (issue.code == null) return true
+    if (muted.has(issue.code)) return false
+    if (severities.has(issue.code)) {
+      const severity = severities.get(issue.code)
+      if (severity == null) return false
+      issue.severity = severity
+    } else if (warningsAsHints && issue.severity === IssueSeverity.Warning) {
+      issue.severity = IssueSeverity.Hint
+    }
+    return true
+  })
+}
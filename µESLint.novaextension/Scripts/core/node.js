@@ -0,0 +1,142 @@
+/**
+ * @file Core extension Node version manager functionality.
+ */
+const { homePath } = require('../lib/path')
+const { requireJSON } = require('../lib/utils')
+
+/**
+ * The files pinning a project’s Node version, in order of precedence.
+ * The Volta pin in package.json is checked after these.
+ */
+const versionFiles = ['.nvmrc', '.node-version']
+
+/**
+ * Get the directories Node version managers install Node versions in.
+ * Managers store each version in a sub directory named after it, with
+ * or without a leading “v”, and a “bin/node” executable somewhere below.
+ * @returns {Array.<object>} The install directories (`dir`) and the path
+ * to the executable relative to a version’s directory (`bin`).
+ * @private
+ */
+function _installDirs () {
+  const env = nova.environment
+  const home = homePath()
+  const fnm = env.FNM_DIR || [
+    nova.path.join(home, '.local', 'share', 'fnm'),
+    nova.path.join(home, 'Library', 'Application Support', 'fnm')
+  ].find(dir => nova.fs.access(dir, nova.fs.F_OK))
+
+  return [
+    { dir: nova.path.join(env.NVM_DIR || nova.path.join(home, '.nvm'), 'versions', 'node'), bin: 'bin/node' },
+    { dir: fnm ? nova.path.join(fnm, 'node-versions') : null, bin: 'installation/bin/node' },
+    { dir: nova.path.join(env.VOLTA_HOME || nova.path.join(home, '.volta'), 'tools', 'image', 'node'), bin: 'bin/node' },
+    { dir: nova.path.join(env.ASDF_DATA_DIR || nova.path.join(home, '.asdf'), 'installs', 'nodejs'), bin: 'bin/node' }
+  ].filter(item => item.dir != null)
+}
+
+/**
+ * Parse a version string into its numeric components.
+ * @returns {?Array.<number>} The components (`null` if not a version).
+ * @param {string} version - The version, e.g. “v18.2” or “18.2.1”.
+ * @private
+ */
+function _parse (version) {
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(version.trim())
+  if (match == null) return null
+  return match.slice(1).filter(part => part != null).map(Number)
+}
+
+/**
+ * Compare two parsed versions.
+ * @returns {number} A negative number if `a` is lower than `b`,
+ * a positive one if it is higher, 0 if both are equal.
+ * @param {Array.<number>} a - The first version.
+ * @param {Array.<number>} b - The second version.
+ * @private
+ */
+function _compare (a, b) {
+  for (let idx = 0; idx < 3; idx++) {
+    const diff = (a[idx] || 0) - (b[idx] || 0)
+    if (diff !== 0) return diff
+  }
+  return 0
+}
+
+/**
+ * Get the Node version pinned for a directory. The closest pin wins:
+ * an `.nvmrc` or `.node-version` file, or the `volta.node` key of
+ * a package.json file, looking upwards until the user’s home directory.
+ * @returns {?string} The pinned version (if any).
+ * @param {string} dir - The path to the directory.
+ */
+exports.pinnedVersion = function (dir) {
+  const home = homePath()
+  let current = dir
+  while (current.length > 1) {
+    for (const name of versionFiles) {
+      const path = nova.path.join(current, name)
+      if (nova.fs.access(path, nova.fs.R_OK)) {
+        const content = nova.fs.open(path).readlines()
+          .map(line => line.replace(/#.*$/, '').trim())
+          .find(line => line.length)
+        if (content) return content
+      }
+    }
+
+    try {
+      const pkg = requireJSON(nova.path.join(current, 'package.json'))
+      if (pkg != null && pkg.volta != null && pkg.volta.node) return String(pkg.volta.node)
+    } catch (error) {
+      console.warn(error)
+    }
+
+    if (current === home) break
+    current = nova.path.dirname(current)
+  }
+  return null
+}
+
+/**
+ * Find the installed Node executable matching a version. Partial
+ * versions (e.g. “18” or “18.2”) match their highest installed release.
+ * Aliases (like “lts/*” or “node”) are not supported.
+ * @returns {?string} The path to the Node executable (if found).
+ * @param {string} version - The version to find.
+ */
+exports.findNode = function (version) {
+  const wanted = _parse(version.replace(/^node@/, ''))
+  if (wanted == null) return null
+
+  let found = null
+  let foundVersion = null
+  _installDirs().forEach(({ dir, bin }) => {
+    if (!nova.fs.access(dir, nova.fs.R_OK)) return
+    nova.fs.listdir(dir).forEach(name => {
+      const parsed = _parse(name)
+      if (parsed == null || !wanted.every((part, idx) => parsed[idx] === part)) return
+
+      const path = nova.path.join(dir, name, bin)
+      if (!nova.fs.access(path, nova.fs.X_OK)) return
+      if (foundVersion == null || _compare(parsed, foundVersion) > 0) {
+        found = path
+        foundVersion = parsed
+      }
+    })
+  })
+  return found
+}
+
+/**
+ * Get the Node executable a directory’s pinned version resolves to.
+ * @returns {?string} The path to the Node executable (`null` if no
+ * version is pinned, or if the version pinned is not installed).
+ * @param {string} dir - The path to the directory.
+ */
+exports.projectNode = function (dir) {
+  const version = exports.pinnedVersion(dir)
+  if (version == null) return null
+
+  const path = exports.findNode(version)
+  if (path == null) console.info(`No install found for Node version ${version} pinned for '${dir}'.`)
+  return path
+}
@@ -0,0 +1,99 @@
+/**
+ * @file Core extension package manager functionality.
+ */
+const { homePath } = require('../lib/path')
+const { runAsync } = require('../lib/process')
+
+/**
+ * The Yarn Plug’n’Play runtime files, in order of precedence.
+ */
+const pnpFiles = ['.pnp.cjs', '.pnp.js']
+
+/**
+ * Find the Yarn Plug’n’Play runtime responsible for a directory.
+ * Will look upwards through directories until it either finds one,
+ * a `node_modules` directory (which means PnP is not in use) or
+ * it reaches the user’s home directory.
+ * @returns {?string} The path to the PnP runtime file (if any).
+ * @param {string} dir - The path to the directory.
+ */
+exports.findPnP = function (dir) {
+  const home = homePath()
+  let current = dir
+  while (current.length > 1) {
+    for (const name of pnpFiles) {
+      const path = nova.path.join(current, name)
+      if (nova.fs.access(path, nova.fs.R_OK)) return path
+    }
+    if (nova.fs.access(nova.path.join(current, 'node_modules'), nova.fs.F_OK)) break
+    if (current === home) break
+    current = nova.path.dirname(current)
+  }
+  return null
+}
+
+/**
+ * Get the ESLint wrapper script of the Yarn editor SDKs for a PnP project.
+ * @returns {?string} The path to the wrapper script (if the SDK is installed).
+ * @see {@link https://yarnpkg.com/getting-started/editor-sdks}
+ * @param {string} pnp - The path to the project’s PnP runtime file.
+ */
+exports.yarnSDK = function (pnp) {
+  const root = nova.path.dirname(pnp)
+  const path = nova.path.join(root, '.yarn', 'sdks', 'eslint', 'bin', 'eslint.js')
+  return nova.fs.access(path, nova.fs.R_OK) ? path : null
+}
+
+/**
+ * Resolve the ESLint binary of a PnP project through its runtime.
+ * As PnP installs live in zip archives, the path returned is only
+ * usable with the runtime loaded (i.e. `node -r .pnp.cjs`).
+ * @returns {Promise} Resolves to the path to the ESLint binary (`null`
+ * if ESLint is not a dependency of the project).
+ * @param {string} node - The path to the Node executable.
+ * @param {string} pnp - The path to the project’s PnP runtime file.
+ * @param {string} dir - The directory to resolve ESLint from.
+ */
+exports.resolvePnP = async function (node, pnp, dir) {
+  // ESLint’s `exports` map (ESLint 8 and newer) hides its binary from
+  // `require.resolve`, but not its manifest, which names the binary.
+  const script = [
+    'const { dirname, join } = require("path")',
+    'const manifest = require.resolve("eslint/package.json")',
+    'const { bin } = require(manifest)',
+    'process.stdout.write(join(dirname(manifest), typeof bin === "string" ? bin : bin.eslint))'
+  ].join('; ')
+  const opts = { args: ['-r', pnp, '-e', script], cwd: dir, shell: false }
+  const { code, stderr, stdout } = await runAsync(node, opts)
+  if (code > 0) {
+    console.info(`Cannot resolve ESLint through '${pnp}': ${stderr}`)
+    return null
+  }
+  return stdout.trim() || null
+}
+
+/**
+ * Get the Node script a shell wrapper for ESLint runs. Package managers
+ * like pnpm install these in `node_modules/.bin` instead of symbolic links
+ * to the package’s binary, which means the wrapper cannot be run by Node,
+ * nor can the ESLint package be located from its path.
+ * @returns {string} The path to the ESLint script if `path` is a shell
+ * wrapper, `path` itself otherwise.
+ * @param {string} path - The path to the ESLint binary.
+ */
+exports.unwrapBinary = function (path) {
+  try {
+    const lines = nova.fs.open(path).readlines()
+    if (!lines.length || !/^#!\/bin\/(ba|z)?sh\b/.test(lines[0])) return path
+
+    // pnpm: `exec node "$basedir/../eslint/bin/eslint.js" "$@"`.
+    const match = /"\$basedir\/([^"]*eslint\/bin\/eslint\.js)"/.exec(lines.join('\n'))
+    if (match == null) return path
+
+    const script = nova.path.normalize(nova.path.join(nova.path.dirname(path), match[1]))
+    return nova.fs.access(script, nova.fs.R_OK) ? script : path
+  } catch (error) {
+    console.warn(error)
+    return path
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * @file Core extension project linting functionality.
+ */
+const { prefixCommand } = require('../lib/extension')
+
+/**
+ * Directories never searched for files to lint (besides hidden ones).
+ */
+const skippedDirs = ['node_modules', 'bower_components']
+
+/**
+ * The file extensions searched for when linting a project,
+ * with the Nova syntax matching them.
+ */
+const extensions = {
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.jsx': 'jsx',
+  '.ts': 'typescript',
+  '.mts': 'typescript',
+  '.cts': 'typescript',
+  '.tsx': 'tsx',
+  '.vue': 'vue',
+  '.svelte': 'svelte',
+  '.html': 'html',
+  '.htm': 'html',
+  '.md': 'markdown',
+  '.markdown': 'markdown'
+}
+
+/**
+ * Get the Nova syntax of a file on disk, as far as we can tell from its path.
+ * @returns {?string} The syntax name (`null` if unknown).
+ * @param {string} path - The path to the file.
+ */
+exports.syntaxForPath = function (path) {
+  const ext = nova.path.extname(path).toLowerCase()
+  return extensions[ext] || null
+}
+
+/**
+ * Get the file extension matching a Nova syntax.
+ * @returns {?string} The extension, including the dot (`null` if unknown).
+ * @param {?string} syntax - The syntax name.
+ */
+exports.extensionForSyntax = function (syntax) {
+  const name = (syntax || '').toLowerCase()
+  return Object.keys(extensions).find(ext => extensions[ext] === name) || null
+}
+
+/**
+ * Find the files of a set of syntaxes in a directory hierarchy. Hidden files and
+ * directories, symbolic links and package install directories are skipped.
+ * We yield to the event loop every now and then, so searching huge
+ * directory trees does not block the extension.
+ * @returns {Promise} Resolves to an array of file paths.
+ * @param {string} dir - The directory to search.
+ * @param {Array.<string>} syntaxes - The syntaxes of the files to find.
+ * @param {object} [token] - A {@link CancellationToken} to stop the search.
+ */
+exports.findFiles = async function (dir, syntaxes, token) {
+  const found = []
+  const dirs = [dir]
+  let searched = 0
+
+  while (dirs.length) {
+    if (token != null && token.cancelled) break
+    const current = dirs.shift()
+    nova.fs.listdir(current).forEach(name => {
+      if (name.startsWith('.')) return
+      const path = nova.path.join(current, name)
+      const stat = nova.fs.stat(path)
+      if (stat == null || stat.isSymbolicLink()) return
+      if (stat.isDirectory()) {
+        if (!skippedDirs.includes(name)) dirs.push(path)
+      } else if (stat.isFile() && syntaxes.includes(exports.syntaxForPath(path))) {
+        found.push(path)
+      }
+    })
+
+    if (++searched % 50 === 0) await new Promise(resolve => setTimeout(resolve, 0))
+  }
+
+  return found
+}
+
+/**
+ * Show (or update) the project lint progress notification.
+ * The notification offers to cancel the operation.
+ * @param {string} message - The progress message.
+ * @param {object} token - The {@link CancellationToken} of the operation.
+ */
+exports.showProgress = function (message, token) {
+  const id = `${prefixCommand()}.lint-project`
+  const request = new NotificationRequest(`${id}.progress`)
+  request.title = nova.extension.name
+  request.body = message
+  request.actions = [nova.localize(`${id}.cancel`)]
+  nova.notifications.add(request).then(response => {
+    if (response != null && response.actionIdx === 0) token.cancel()
+  }, error => console.warn(error))
+}
+
+/**
+ * Dismiss the project lint progress notification.
+ */
+exports.hideProgress = function () {
+  nova.notifications.cancel(`${prefixCommand()}.lint-project.progress`)
+}
@@ -0,0 +1,44 @@
+/**
+ * @file Core extension rule metadata functionality.
+ */
+
+/**
+ * Rule metadata for the Issues created by ESLint. As Issue objects do not
+ * offer a way to carry custom data, we store it alongside, keyed by Issue.
+ */
+const attached = new WeakMap()
+
+/**
+ * The documentation of an ESLint rule.
+ * @typedef RuleDocs
+ * @property {string} rule - The rule ID.
+ * @property {?string} url - The URL of the rule’s documentation (if known).
+ * @property {?string} description - The rule’s short description (if known).
+ */
+
+/**
+ * Attach the metadata ESLint reports for a rule to an Issue of that rule.
+ * The Issue itself is left as is; its rule’s documentation URL and short
+ * description are looked up with {@link ruleDocs}.
+ * @param {object} issue - The {@link Issue}.
+ * @param {object} meta - The rule’s `meta` object.
+ */
+exports.attachRule = function (issue, meta) {
+  const docs = meta.docs || {}
+  attached.set(issue, { url: docs.url || null, description: docs.description || null })
+}
+
+/**
+ * Get the documentation of the rule of an Issue. Without metadata (as
+ * with ESLint versions before 7), we can only guess the URL for core rules.
+ * @returns {?RuleDocs} The rule documentation (`null` if the issue is not
+ * a rule issue).
+ * @param {object} issue - The {@link Issue} to check.
+ */
+exports.ruleDocs = function (issue) {
+  if (issue.code == null) return null
+  const docs = attached.get(issue) || { url: null, description: null }
+  const core = !issue.code.includes('/') && docs.url == null
+  const url = core ? `https://eslint.org/docs/rules/${issue.code}` : docs.url
+  return { rule: issue.code, url: url, description: docs.description }
+}
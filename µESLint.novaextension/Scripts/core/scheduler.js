@@ -0,0 +1,115 @@
+/**
+ * @file Lint scheduler class file.
+ */
+const { CancellationToken } = require('../lib/process')
+
+class LintScheduler {
+  /**
+   * A per-document lint scheduler. Lint requests for a document are
+   * debounced, the number of concurrent lint runs is capped, and a run
+   * whose document changes while it is under way is cancelled.
+   * @param {Function} task - The lint function, called with the TextEditor
+   * to lint and a {@link CancellationToken}; it should return a Promise.
+   * @property {number} delay - The debounce delay in milliseconds.
+   * @property {number} limit - The maximum number of concurrent runs.
+   */
+  constructor (task) {
+    this.delay = 0
+    this.limit = 1
+    this._task = task
+    this._editors = {}
+    this._queued = []
+    this._running = {}
+    this._timers = {}
+  }
+
+  /**
+   * Request a lint run for an editor’s document. Any pending or running
+   * lint of the document is superseded by the new request.
+   * @param {object} editor - The TextEditor to lint.
+   */
+  schedule (editor) {
+    const uri = editor.document.uri
+    this.cancel(uri)
+    this._editors[uri] = editor
+
+    if (this.delay > 0) {
+      this._timers[uri] = setTimeout(() => {
+        delete this._timers[uri]
+        this._enqueue(uri)
+      }, this.delay)
+    } else {
+      this._enqueue(uri)
+    }
+  }
+
+  /**
+   * Cancel the pending and running lint operations for a document.
+   * @param {string} uri - The URI of the document.
+   */
+  cancel (uri) {
+    if (this._timers[uri] != null) {
+      clearTimeout(this._timers[uri])
+      delete this._timers[uri]
+    }
+
+    const index = this._queued.indexOf(uri)
+    if (index > -1) this._queued.splice(index, 1)
+    delete this._editors[uri]
+
+    // The running task keeps its slot until it has wound down.
+    if (this._running[uri] != null) this._running[uri].cancel()
+  }
+
+  /**
+   * Cancel all pending and running lint operations.
+   */
+  cancelAll () {
+    const uris = Object.keys(this._timers)
+      .concat(this._queued, Object.keys(this._running))
+    uris.forEach(uri => this.cancel(uri))
+  }
+
+  /**
+   * Queue a document for linting once a run slot is free.
+   * @param {string} uri - The URI of the document.
+   * @private
+   */
+  _enqueue (uri) {
+    if (!this._queued.includes(uri)) this._queued.push(uri)
+    this._next()
+  }
+
+  /**
+   * Start as many queued runs as the concurrency limit allows. Documents
+   * whose previous run is still winding down are left in the queue.
+   * @private
+   */
+  _next () {
+    const limit = Math.max(1, this.limit)
+    let index = 0
+    while (index < this._queued.length && Object.keys(this._running).length < limit) {
+      const uri = this._queued[index]
+      if (this._running[uri] != null) {
+        index++
+        continue
+      }
+
+      this._queued.splice(index, 1)
+      const editor = this._editors[uri]
+      delete this._editors[uri]
+
+      const token = new CancellationToken()
+      this._running[uri] = token
+      Promise.resolve()
+        .then(() => this._task(editor, token))
+        .catch(error => console.error(error))
+        .then(() => {
+          if (this._running[uri] === token) delete this._running[uri]
+          this._next()
+        })
+    }
+  }
+}
+
+exports.LintScheduler = LintScheduler
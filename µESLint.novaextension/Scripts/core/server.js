@@ -0,0 +1,261 @@
+/**
+ * @file Persistent ESLint worker process functionality.
+ */
+const { binDir } = require('../lib/extension')
+const { cancelError } = require('../lib/process')
+
+/**
+ * The number of crashes after which we stop using a worker for a binary.
+ */
+const maxFailures = 3
+
+/**
+ * Running workers, by {@link serverKey}.
+ */
+const servers = {}
+
+/**
+ * Worker crash counts, by {@link serverKey}.
+ */
+const failures = {}
+
+/**
+ * Get the key identifying a worker. The same ESLint install can be run
+ * by different Node executables (e.g. in projects pinning Node versions).
+ * @returns {string} The key.
+ * @param {string} node - The path to the Node executable.
+ * @param {string} binary - The path to the ESLint binary.
+ */
+const serverKey = (node, binary) => `${node}\n${binary}`
+
+class ESLintServer {
+  /**
+   * A persistent ESLint worker, i.e. a Node process running the bundled
+   * `eslint-server.js` script, which loads the project’s own ESLint module
+   * and answers line based JSON-RPC requests on stdio. This saves us paying
+   * ESLint’s start-up and plugin loading costs on every lint operation.
+   * @param {string} node - The path to the Node executable to use.
+   * @param {string} binary - The path to the ESLint binary whose package
+   * the worker should load.
+   * @param {?string} [preload] - The path to a module Node needs to preload
+   * to load the package (e.g. a Yarn Plug’n’Play runtime).
+   * @property {string} binary - The path to the ESLint binary.
+   * @property {boolean} running - Whether the worker process is running.
+   */
+  constructor (node, binary, preload) {
+    const script = nova.path.join(binDir(), 'eslint-server.js')
+    this.binary = binary
+    this.running = false
+    this._key = serverKey(node, binary)
+    this._buffer = ''
+    this._lastID = 0
+    this._pending = {}
+    this._stopping = false
+    const args = (preload ? ['-r', preload] : []).concat(script, binary)
+    this._process = new Process(node, { args: args, shell: false })
+    this._process.onStdout(output => this._receive(output))
+    this._process.onStderr(line => console.info(`ESLint worker: ${line.trim()}`))
+    this._process.onDidExit(code => this._exited(code))
+    this._process.start()
+    this._writer = this._process.stdin.getWriter()
+    this.running = true
+  }
+
+  /**
+   * Handle worker output: resolve or reject the requests answered.
+   * @param {string} output - The output received on stdout.
+   * @private
+   */
+  _receive (output) {
+    const lines = (this._buffer + output).split('\n')
+    this._buffer = lines.pop()
+    lines.filter(line => line.trim().length).forEach(line => {
+      let message
+      try {
+        message = JSON.parse(line)
+      } catch (error) {
+        console.warn(`Discarding malformed ESLint worker output: ${line}`)
+        return
+      }
+
+      const request = this._pending[message.id]
+      if (request == null) return
+      delete this._pending[message.id]
+      if (message.error != null) {
+        request.reject(ESLintServer._error(message.error.message))
+      } else {
+        request.resolve(message.result)
+      }
+    })
+  }
+
+  /**
+   * Handle the worker exiting: reject all pending requests and,
+   * unless we stopped the worker, count the exit as a crash.
+   * @param {number} code - The worker’s exit code.
+   * @private
+   */
+  _exited (code) {
+    this.running = false
+    if (servers[this._key] === this) delete servers[this._key]
+    if (!this._stopping) {
+      failures[this._key] = (failures[this._key] || 0) + 1
+      console.warn(`ESLint worker for '${this.binary}' exited with code ${code}.`)
+    }
+
+    Object.keys(this._pending).forEach(id => {
+      this._pending[id].reject(ESLintServer._error(`Worker exited with code ${code}`))
+      delete this._pending[id]
+    })
+  }
+
+  /**
+   * Create a worker error.
+   * @returns {Error} A 'ServerError' error.
+   * @param {string} message - The error message.
+   * @private
+   */
+  static _error (message) {
+    const error = new Error(message)
+    error.name = 'ServerError'
+    return error
+  }
+
+  /**
+   * Send a JSON-RPC message to the worker.
+   * @param {object} message - The message to send.
+   * @private
+   */
+  _send (message) {
+    const json = JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message))
+    this._writer.write(`${json}\n`)
+  }
+
+  /**
+   * Send a JSON-RPC request to the worker.
+   * @returns {Promise} Resolves to the request’s result.
+   * @param {string} method - The request method.
+   * @param {object} params - The request parameters.
+   * @param {object} [token] - A {@link CancellationToken}; when cancellation
+   * is requested, the worker is told to drop the request.
+   * @throws {Error} 'ServerError' when the worker returns an error or exits;
+   * 'CancelError' when the request was cancelled through the token.
+   */
+  request (method, params, token) {
+    return new Promise((resolve, reject) => {
+      if (!this.running) {
+        reject(ESLintServer._error('Worker is not running'))
+        return
+      }
+      if (token != null && token.cancelled) {
+        reject(cancelError())
+        return
+      }
+
+      const id = ++this._lastID
+      let cancellation = null
+      const settle = callback => value => {
+        if (cancellation != null) cancellation.dispose()
+        callback(value)
+      }
+      this._pending[id] = { resolve: settle(resolve), reject: settle(reject) }
+
+      if (token != null) {
+        cancellation = token.onCancel(() => {
+          if (this._pending[id] == null) return
+          delete this._pending[id]
+          this._send({ method: 'cancel', params: { id } })
+          reject(cancelError())
+        })
+      }
+      this._send({ id, method, params })
+    })
+  }
+
+  /**
+   * Lint a source text with the worker.
+   * @returns {Promise} Resolves to the ESLint results (see the CLI’s JSON output).
+   * @param {object} params - The lint parameters.
+   * @param {string} params.text - The source code to lint.
+   * @param {string} params.filePath - The file path the source belongs to.
+   * @param {string} params.cwd - The directory to run ESLint in.
+   * @param {boolean} [params.fix] - Whether to fix the source (returned as `output`).
+   * @param {Array.<string>} [params.fixTypes] - The fix types to restrict fixes to.
+   * @param {Array.<string>} [params.fixRules] - The rule IDs to restrict fixes to.
+   * @param {object} [token] - A {@link CancellationToken} for the request.
+   * @throws {Error} 'ServerError' when the worker returns an error or exits;
+   * 'CancelError' when the request was cancelled through the token.
+   */
+  lint (params, token) {
+    return this.request('lint', params, token)
+  }
+
+  /**
+   * Make the worker drop its cached ESLint instances, so the next lint
+   * operations load configurations, plugins and parsers anew.
+   */
+  reset () {
+    if (this.running) this._send({ method: 'reset' })
+  }
+
+  /**
+   * Stop the worker.
+   */
+  stop () {
+    if (this.running) {
+      this._stopping = true
+      this._process.terminate()
+    }
+  }
+}
+
+/**
+ * Get the running worker for an ESLint binary run by a Node executable,
+ * starting it if necessary.
+ * @returns {?object} The {@link ESLintServer}, or `null` if the worker for
+ * this binary and executable has crashed too often to be trusted.
+ * @param {string} node - The path to the Node executable to use.
+ * @param {string} binary - The path to the ESLint binary.
+ * @param {?string} [preload] - The path to a module Node needs to preload.
+ */
+exports.getServer = function (node, binary, preload) {
+  const key = serverKey(node, binary)
+  if ((failures[key] || 0) >= maxFailures) return null
+  if (servers[key] == null) {
+    try {
+      servers[key] = new ESLintServer(node, binary, preload)
+    } catch (error) {
+      console.error(error)
+      failures[key] = (failures[key] || 0) + 1
+      return null
+    }
+  }
+  return servers[key]
+}
+
+/**
+ * Stop all running workers.
+ */
+exports.stopServers = function () {
+  Object.keys(servers).forEach(key => {
+    servers[key].stop()
+    delete servers[key]
+  })
+}
+
+/**
+ * Make all running workers drop their cached ESLint instances.
+ */
+exports.resetServers = function () {
+  Object.keys(servers).forEach(key => servers[key].reset())
+}
+
+/**
+ * Forget the worker crash counts, giving workers that crashed too often
+ * another chance.
+ */
+exports.resetFailures = function () {
+  Object.keys(failures).forEach(key => delete failures[key])
+}
+
+exports.ESLintServer = ESLintServer
@@ -0,0 +1,93 @@
+/**
+ * @file Core extension status report functionality.
+ */
+const { prefixCommand } = require('../lib/extension')
+const { runAsync } = require('../lib/process')
+
+/**
+ * Node versions, by Node executable path.
+ */
+const nodeVersions = {}
+
+/**
+ * Get the version of a Node executable (cached after the first call).
+ * @returns {Promise} Resolves to the version string (e.g. “v18.2.1”).
+ * @param {string} node - The path to the Node executable.
+ * @throws {Error} 'ProcessError' when running the Node executable fails.
+ */
+exports.nodeVersion = async function (node) {
+  if (nodeVersions[node] == null) {
+    const { code, stderr, stdout } = await runAsync(node, { args: ['--version'] })
+    if (code > 0) {
+      const error = new Error(`Exit code ${code}: ${stderr}`)
+      error.name = 'ProcessError'
+      throw error
+    }
+    nodeVersions[node] = stdout.trim()
+  }
+  return nodeVersions[node]
+}
+
+/**
+ * Forget the cached Node versions.
+ */
+exports.clearVersions = function () {
+  Object.keys(nodeVersions).forEach(node => delete nodeVersions[node])
+}
+
+/**
+ * Localise a status report string.
+ * @returns {string} The localised string.
+ * @param {string} key - The string key, relative to the report strings.
+ * @private
+ */
+function _localize (key) {
+  return nova.localize(`${prefixCommand()}.show-status.report.${key}`)
+}
+
+/**
+ * Format a report value.
+ * @returns {string} The Markdown formatted value.
+ * @param {?*} value - The value: strings are formatted as code, booleans
+ * as yes / no, Dates in the user’s locale, nothing as a dash.
+ * @private
+ */
+function _format (value) {
+  if (value == null || value === '') return '–'
+  if (typeof value === 'boolean') return _localize(value ? 'yes' : 'no')
+  if (value instanceof Date) return value.toLocaleString()
+  if (typeof value === 'string') return `\`${value}\``
+  return String(value)
+}
+
+/**
+ * A status report section.
+ * @typedef ReportSection
+ * @property {string} title - The key of the section’s title string.
+ * @property {Array.<Array>} [items] - The section’s items, as pairs
+ * of a label string key and a value (see {@link _format}).
+ * @property {string} [note] - The key of a note string to show below the items.
+ * @property {string} [text] - Plain text to show as a code block.
+ */
+
+/**
+ * Build a Markdown status report.
+ * @returns {string} The report.
+ * @param {Array.<ReportSection>} sections - The report sections.
+ */
+exports.statusReport = function (sections) {
+  const lines = [`# ${nova.extension.name}: ${_localize('title')}`, '']
+  lines.push(`${_localize('generated')}: ${_format(new Date())}`, '')
+  sections.forEach(section => {
+    lines.push(`## ${_localize(section.title)}`, '')
+    if (section.items) {
+      section.items.forEach(([label, value]) => {
+        lines.push(`- ${_localize(label)}: ${_format(value)}`)
+      })
+    }
+    if (section.note != null) lines.push('', _localize(section.note))
+    if (section.text != null) lines.push('```', section.text, '```')
+    lines.push('')
+  })
+  return lines.join('\n')
+}
@@ -0,0 +1,59 @@
+/**
+ * @file Core extension syntax functionality.
+ */
+
+/**
+ * The Nova syntaxes of script documents, which ESLint lints natively.
+ */
+exports.scriptSyntaxes = ['javascript', 'jsx', 'typescript', 'tsx']
+
+/**
+ * The Nova syntaxes of documents with embedded scripts, which ESLint
+ * lints through processors or plugins (like `eslint-plugin-vue`).
+ */
+exports.embeddedSyntaxes = ['vue', 'svelte', 'html', 'markdown']
+
+/**
+ * Check if a line of a document with embedded scripts is inside a script
+ * part, i.e. inside a `<script>` element or a Markdown code fence.
+ * @returns {boolean} Whether the line is script code.
+ * @param {Array.<string>} lines - The document’s lines.
+ * @param {number} index - The 0-based index of the line to check.
+ * @param {string} syntax - The document’s syntax.
+ */
+exports.inScript = function (lines, index, syntax) {
+  const before = lines.slice(0, index)
+  if (syntax === 'markdown') {
+    return before.filter(line => /^\s*(```|~~~)/.test(line)).length % 2 === 1
+  }
+  const text = before.join('\n')
+  return text.lastIndexOf('<script') > text.lastIndexOf('</script')
+}
+
+/**
+ * Find the first line of the script part of a document with embedded
+ * scripts a line is in, i.e. the line after the opening `<script>` tag
+ * or Markdown code fence.
+ * @returns {?number} The 0-based index of the line (`null` if the line
+ * is not inside a script part).
+ * @param {Array.<string>} lines - The document’s lines.
+ * @param {number} index - The 0-based index of the line to check.
+ * @param {string} syntax - The document’s syntax.
+ */
+exports.scriptStart = function (lines, index, syntax) {
+  if (!exports.inScript(lines, index, syntax)) return null
+  let start = index - 1
+  if (syntax === 'markdown') {
+    while (!/^\s*(```|~~~)/.test(lines[start])) start -= 1
+    return start + 1
+  }
+  while (!lines[start].includes('<script')) start -= 1
+  // The opening tag can span several lines.
+  let end = start
+  const tail = lines[start].slice(lines[start].lastIndexOf('<script'))
+  if (!tail.includes('>')) {
+    end += 1
+    while (end < index && !lines[end].includes('>')) end += 1
+  }
+  return end + 1
+}
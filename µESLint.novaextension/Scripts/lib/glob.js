@@ -0,0 +1,100 @@
+/**
+ * @file Glob pattern matching for paths.
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Translate a glob pattern into a regular expression. Supports `*` and `?`
+ * (which do not match across path separators), `**` (which does, when it
+ * is a path segment of its own), character classes (`[abc]`, `[!abc]`)
+ * and alternatives (`{a,b}`; braces without a counterpart are literal
+ * ones). Patterns without a path separator match a file or directory name
+ * at any level, as in `.gitignore` files; patterns matching a directory
+ * match everything below it, too.
+ * @returns {RegExp} The regular expression.
+ * @param {string} glob - The glob pattern.
+ */
+exports.globToRegExp = function (glob) {
+  let pattern = glob.trim()
+  if (pattern.endsWith('/')) pattern = pattern.slice(0, -1)
+  if (pattern.startsWith('/')) {
+    pattern = pattern.slice(1)
+  } else if (!pattern.includes('/')) {
+    pattern = `**/${pattern}`
+  }
+
+  // Only balanced braces delimit alternatives, others are literal ones.
+  const groups = new Set()
+  const open = []
+  for (let index = 0; index < pattern.length; index++) {
+    const end = pattern[index] === '[' ? pattern.indexOf(']', index + 2) : -1
+    if (end > 0) index = end
+    else if (pattern[index] === '{') open.push(index)
+    else if (pattern[index] === '}' && open.length) groups.add(open.pop()).add(index)
+  }
+
+  let source = ''
+  let inGroup = 0
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index]
+    if (char === '*' && pattern[index + 1] === '*') {
+      const before = index === 0 || pattern[index - 1] === '/'
+      const after = index + 2 === pattern.length || pattern[index + 2] === '/'
+      if (before && after) {
+        // `**/` matches any number of directories, including none.
+        source += index + 2 === pattern.length ? '.*' : '(?:.*/)?'
+        index += 2
+        continue
+      }
+      source += '[^/]*'
+      index += 1
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', index + 2)
+      if (end < 0) {
+        source += '\\['
+        continue
+      }
+      let set = pattern.slice(index + 1, end).replace(/[\\\]]/g, '\\$&')
+      if (set.startsWith('!')) set = `^${set.slice(1)}`
+      source += `[${set}]`
+      index = end
+    } else if (char === '{' && groups.has(index)) {
+      inGroup += 1
+      source += '(?:'
+    } else if (char === '}' && groups.has(index)) {
+      inGroup -= 1
+      source += ')'
+    } else if (char === ',' && inGroup > 0) {
+      source += '|'
+    } else {
+      source += char.replace(/[.+^$()|{}\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}(?:/.*)?$`)
+}
+
+/**
+ * Check if a path matches any of a set of glob patterns.
+ * @returns {boolean} Whether the path matches.
+ * @param {string} path - The path to check, relative to the directory
+ * the patterns apply to.
+ * @param {Array.<string>} globs - The glob patterns (see {@link globToRegExp}).
+ * Empty and invalid patterns are skipped.
+ */
+exports.matchesGlob = function (path, globs) {
+  return globs.some(glob => {
+    if (!glob.trim().length) return false
+    try {
+      return exports.globToRegExp(glob).test(path)
+    } catch (error) {
+      // E.g. character class ranges out of order, like `[z-a]`.
+      console.warn(`Ignoring invalid glob pattern “${glob}”: ${error.message}`)
+      return false
+    }
+  })
+}
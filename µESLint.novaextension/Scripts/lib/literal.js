@@ -0,0 +1,383 @@
+/**
+ * @file Static evaluation of JavaScript literals, without running any code.
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Escape sequences in string literals, by the character following the backslash.
+ */
+const escapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' }
+
+/**
+ * Keywords a regular expression literal can follow (where a slash
+ * cannot be a division operator).
+ */
+const regexPrecedents = ['await', 'case', 'delete', 'do', 'else', 'in', 'instanceof', 'new', 'of', 'return', 'throw', 'typeof', 'void', 'yield']
+
+/**
+ * Check if a slash starts a regular expression literal, going by the
+ * token before it (a division operator follows a value).
+ * @returns {boolean} Whether the slash starts a regular expression.
+ * @param {?object} previous - The token before the slash.
+ * @private
+ */
+function _startsRegex (previous) {
+  if (previous == null) return true
+  if (previous.type === 'punct') return ![')', ']', '}'].includes(previous.value)
+  return previous.type === 'name' && regexPrecedents.includes(previous.value)
+}
+
+/**
+ * Find the end of a regular expression literal.
+ * @returns {number} The index after the literal (including its flags;
+ * -1 if the slash does not start a literal on its line).
+ * @param {string} source - The source.
+ * @param {number} start - The index of the opening slash.
+ * @private
+ */
+function _regexEnd (source, start) {
+  let inClass = false
+  for (let index = start + 1; index < source.length; index++) {
+    const char = source[index]
+    if (char === '\n') return -1
+    if (char === '\\') {
+      index += 1
+    } else if (char === '[') {
+      inClass = true
+    } else if (char === ']') {
+      inClass = false
+    } else if (char === '/' && !inClass) {
+      return index + 1 + /^[a-z]*/i.exec(source.slice(index + 1))[0].length
+    }
+  }
+  return -1
+}
+
+/**
+ * Split JavaScript source into tokens, skipping whitespace and comments.
+ * @returns {Array.<object>} The tokens, with their `type` (“string”,
+ * “template”, “regex”, “number”, “name” or “punct”), `value` and `line` (1-based).
+ * Template tokens with substitutions have an `interpolated` flag.
+ * @param {string} source - The source to tokenise.
+ * @private
+ */
+function _tokenize (source) {
+  const tokens = []
+  let index = 0
+  let line = 1
+  const advance = end => {
+    line += (source.slice(index, end).match(/\n/g) || []).length
+    index = end
+  }
+
+  while (index < source.length) {
+    const char = source[index]
+    const rest = source.slice(index, index + 2)
+    if (/\s/.test(char)) {
+      advance(index + 1)
+    } else if (rest === '//') {
+      const end = source.indexOf('\n', index)
+      advance(end < 0 ? source.length : end)
+    } else if (rest === '/*') {
+      const end = source.indexOf('*/', index + 2)
+      advance(end < 0 ? source.length : end + 2)
+    } else if (char === '"' || char === "'") {
+      let value = ''
+      let end = index + 1
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\') {
+          const next = source[end + 1]
+          if (next === 'u' || next === 'x') {
+            const hex = next === 'u' ? source.slice(end + 2, end + 6) : source.slice(end + 2, end + 4)
+            value += String.fromCharCode(parseInt(hex, 16))
+            end += 2 + hex.length
+            continue
+          }
+          if (next !== '\n') value += next in escapes ? escapes[next] : next
+          end += 2
+        } else {
+          value += source[end++]
+        }
+      }
+      tokens.push({ type: 'string', value: value, line: line })
+      advance(end + 1)
+    } else if (char === '`') {
+      let end = index + 1
+      let interpolated = false
+      while (end < source.length && source[end] !== '`') {
+        if (source[end] === '\\') {
+          end += 2
+        } else if (source.slice(end, end + 2) === '${') {
+          // Skip the substitution, which may contain nested braces.
+          interpolated = true
+          let depth = 0
+          do {
+            if (source[end] === '{') depth += 1
+            if (source[end] === '}') depth -= 1
+            end += 1
+          } while (end < source.length && depth > 0)
+        } else {
+          end += 1
+        }
+      }
+      const raw = source.slice(index + 1, end)
+      const value = raw.replace(/\\(.)/g, (_, next) => next in escapes ? escapes[next] : next)
+      tokens.push({ type: 'template', value: value, interpolated: interpolated, line: line })
+      advance(end + 1)
+    } else if (char === '/' && _startsRegex(tokens[tokens.length - 1]) && _regexEnd(source, index) > 0) {
+      const end = _regexEnd(source, index)
+      tokens.push({ type: 'regex', value: source.slice(index, end), line: line })
+      advance(end)
+    } else if (/[0-9.]/.test(char) && /^\.?[0-9]/.test(source.slice(index, index + 2))) {
+      const match = /^(0[xob][0-9a-f_]+|[0-9_]*\.?[0-9_]+(e[+-]?[0-9]+)?)n?/i.exec(source.slice(index))
+      tokens.push({ type: 'number', value: Number(match[1].replace(/_/g, '')), line: line })
+      advance(index + match[0].length)
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(index))
+      tokens.push({ type: 'name', value: match[0], line: line })
+      advance(index + match[0].length)
+    } else {
+      const punct = source.startsWith('...', index) ? '...' : rest === '=>' ? '=>' : char
+      tokens.push({ type: 'punct', value: punct, line: line })
+      advance(index + punct.length)
+    }
+  }
+  return tokens
+}
+
+/**
+ * A literal value parser working on a token list.
+ * Anything that is not a literal (function calls, references, spreads,
+ * operations …) is skipped and evaluates to `undefined`.
+ * @private
+ */
+class _Parser {
+  /**
+   * @param {Array.<object>} tokens - The tokens (see {@link _tokenize}).
+   * @param {number} [start=0] - The index of the token to start at.
+   * @property {?Map} lines - The line each object key or array element
+   * was found on, if requested, by the object or array it belongs to.
+   */
+  constructor (tokens, start) {
+    this.tokens = tokens
+    this.index = start || 0
+    this.lines = null
+  }
+
+  /**
+   * The token at the current position.
+   * @returns {?object} The token (`null` at the end of the tokens).
+   */
+  get current () {
+    return this.tokens[this.index] || null
+  }
+
+  /**
+   * Check if the current token is a punctuator.
+   * @returns {boolean} Whether it is.
+   * @param {...string} values - The punctuators to check for.
+   */
+  at (...values) {
+    const token = this.current
+    return token != null && token.type === 'punct' && values.includes(token.value)
+  }
+
+  /**
+   * Skip the rest of an expression, up to the next separator or closing
+   * bracket outside of any brackets the expression opens.
+   */
+  skip () {
+    let depth = 0
+    while (this.current != null) {
+      if (depth === 0 && this.at(',', ';', ')', ']', '}')) return
+      if (this.at('(', '[', '{')) depth += 1
+      if (this.at(')', ']', '}')) depth -= 1
+      this.index += 1
+    }
+  }
+
+  /**
+   * Skip the rest of a malformed object entry or array element, including
+   * the separator or stray closing bracket it ends at (but not the closing
+   * bracket of the object or array itself).
+   * @param {string} closer - The closing bracket of the object or array.
+   */
+  _recover (closer) {
+    this.skip()
+    if (this.current != null && !this.at(closer)) this.index += 1
+  }
+
+  /**
+   * Record the line an object key or array element was found on.
+   * @param {object} container - The object or array.
+   * @param {string|number} key - The key or index.
+   * @param {number} line - The line.
+   */
+  record (container, key, line) {
+    if (this.lines == null) return
+    if (!this.lines.has(container)) this.lines.set(container, {})
+    this.lines.get(container)[key] = line
+  }
+
+  /**
+   * Parse a value, skipping whatever of it is not a literal.
+   * @returns {*} The value (`undefined` if it is not a literal).
+   * @param {boolean} [statement=false] - Whether the value is a statement of
+   * its own, which need not be followed by a separator (as statements can
+   * end at a line break).
+   */
+  value (statement) {
+    const token = this.current
+    if (token == null) return undefined
+
+    let value
+    if (this.at('{')) {
+      value = this.object()
+    } else if (this.at('[')) {
+      value = this.array()
+    } else if (this.at('-', '+') && this.tokens[this.index + 1] && this.tokens[this.index + 1].type === 'number') {
+      value = token.value === '-' ? -this.tokens[this.index + 1].value : this.tokens[this.index + 1].value
+      this.index += 2
+    } else if (token.type === 'string' || token.type === 'number') {
+      value = token.value
+      this.index += 1
+    } else if (token.type === 'template' && !token.interpolated) {
+      value = token.value
+      this.index += 1
+    } else if (token.type === 'name' && ['true', 'false', 'null'].includes(token.value)) {
+      value = token.value === 'null' ? null : token.value === 'true'
+      this.index += 1
+    } else {
+      this.skip()
+      return undefined
+    }
+
+    // Anything but the end of the value means it is part of an expression.
+    const line = this.tokens[this.index - 1].line
+    const ended = this.current == null || this.at(',', ';', ')', ']', '}') ||
+      (statement === true && this.current.line > line && !this.at('.', '(', '['))
+    if (!ended) {
+      this.skip()
+      return undefined
+    }
+    return value
+  }
+
+  /**
+   * Parse an object literal (the current token is its opening brace).
+   * @returns {object} The object.
+   */
+  object () {
+    const object = {}
+    this.index += 1
+    while (this.current != null && !this.at('}')) {
+      const token = this.current
+      const next = this.tokens[this.index + 1]
+      const isKey = ['name', 'string', 'number'].includes(token.type)
+      if (isKey && next != null && next.type === 'punct' && next.value === ':') {
+        this.index += 2
+        const value = this.value()
+        if (value !== undefined) {
+          object[token.value] = value
+          this.record(object, token.value, token.line)
+        }
+      } else {
+        // Spreads, shorthand properties, methods, computed keys …
+        this.skip()
+      }
+      if (this.at(',')) this.index += 1
+      else if (!this.at('}')) this._recover('}')
+    }
+    if (this.current != null) this.index += 1
+    return object
+  }
+
+  /**
+   * Parse an array literal (the current token is its opening bracket).
+   * Elements that are not literals are dropped.
+   * @returns {Array} The array.
+   */
+  array () {
+    const array = []
+    this.index += 1
+    while (this.current != null && !this.at(']')) {
+      if (this.at(',')) {
+        this.index += 1
+        continue
+      }
+      const line = this.current.line
+      const value = this.value()
+      if (value !== undefined) {
+        this.record(array, array.length, line)
+        array.push(value)
+      }
+      if (this.at(',')) this.index += 1
+      else if (!this.at(']')) this._recover(']')
+    }
+    if (this.current != null) this.index += 1
+    return array
+  }
+}
+
+/**
+ * Parse a JavaScript literal (which includes JSON, with comments, too).
+ * @returns {*} The value of the literal (`undefined` if the source is not
+ * a literal). Non-literal parts of object and array literals are dropped.
+ * @param {string} source - The source of the literal.
+ */
+exports.parseLiteral = function (source) {
+  return new _Parser(_tokenize(source)).value(true)
+}
+
+/**
+ * Statically evaluate the literal a CommonJS or ES module exports as its
+ * default export (`module.exports = …` or `export default …`), either
+ * directly or through a variable it declares. The module is not run.
+ * @returns {*} The exported value (`undefined` if it is not a literal).
+ * Non-literal parts of object and array literals are dropped.
+ * @param {string} source - The source of the module.
+ * @param {Map} [lines] - A Map to fill with the lines the keys of the
+ * objects (and the elements of the arrays) in the exported value are
+ * found on, by object or array.
+ */
+exports.parseExports = function (source, lines) {
+  const tokens = _tokenize(source)
+  const isToken = (index, type, value) => {
+    const token = tokens[index]
+    return token != null && token.type === type && token.value === value
+  }
+
+  let start = null
+  for (let index = 0; index < tokens.length && start == null; index++) {
+    if (
+      isToken(index, 'name', 'module') &&
+      isToken(index + 1, 'punct', '.') &&
+      isToken(index + 2, 'name', 'exports') &&
+      isToken(index + 3, 'punct', '=')
+    ) start = index + 4
+    if (isToken(index, 'name', 'export') && isToken(index + 1, 'name', 'default')) {
+      start = index + 2
+    }
+  }
+  if (start == null) return undefined
+
+  // `module.exports = config`, with `const config = { … }` somewhere.
+  const exported = tokens[start]
+  const next = tokens[start + 1]
+  const isEnd = next == null || (next.type === 'punct' && [';', '}'].includes(next.value))
+  if (exported != null && exported.type === 'name' && isEnd) {
+    const declared = tokens.findIndex((token, index) => {
+      return token.type === 'name' &&
+        ['const', 'let', 'var'].includes(token.value) &&
+        isToken(index + 1, 'name', exported.value) &&
+        isToken(index + 2, 'punct', '=')
+    })
+    if (declared < 0) return undefined
+    start = declared + 3
+  }
+
+  const parser = new _Parser(tokens, start)
+  parser.lines = lines || null
+  return parser.value(true)
+}
@@ -1,6 +1,6 @@
 /**
  * @file Path handling additions to Novas’s builtin `Path` API.
- * @version 1.0.0
+ * @version 1.1.0
  * @author Martin Kopischke <martin@kopischke.net>
  * @license MIT
  */
@@ -14,6 +14,16 @@ exports.homePath = function () {
   return nova.path.normalize(nova.path.expanduser('~'))
 }
 
+/**
+ * Get the `file://` URI for a path, as used for {@link TextDocument} URIs.
+ * @returns {string} The URI.
+ * @param {string} path - The absolute path to convert.
+ */
+exports.fileURI = function (path) {
+  const encoded = exports.nixalize(path).split(sep).map(encodeURIComponent)
+  return `file://${encoded.join(sep)}`
+}
+
 /**
  * Get a normalised version of a path but with a *nix conforming root,
  * i.e. “/” instead of “/Volumes/Macintosh HD”. This should correctly
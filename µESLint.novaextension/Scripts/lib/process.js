@@ -1,6 +1,6 @@
 /**
  * @file Process management functionality.
- * @version 1.1.0
+ * @version 1.2.0
  * @author Martin Kopischke <martin@kopischke.net>
  * @license MIT
  * @see {@link Process}
@@ -14,25 +14,98 @@
  * @property {string} stderr - The process’ stderr output.
  */
 
+/**
+ * A token signalling the cancellation of an asynchronous operation.
+ * @property {boolean} cancelled - Whether cancellation has been requested.
+ */
+class CancellationToken {
+  constructor () {
+    this.cancelled = false
+    this._handlers = []
+  }
+
+  /**
+   * Request cancellation, notifying all registered handlers (once).
+   */
+  cancel () {
+    if (this.cancelled) return
+    this.cancelled = true
+    this._handlers.splice(0).forEach(handler => {
+      try {
+        handler()
+      } catch (error) {
+        console.error(error)
+      }
+    })
+  }
+
+  /**
+   * Register a cancellation handler. Handlers registered after
+   * cancellation has been requested are called immediately.
+   * @returns {object} A disposable object unregistering the handler.
+   * @param {Function} handler - The function to call on cancellation.
+   */
+  onCancel (handler) {
+    if (this.cancelled) {
+      handler()
+    } else {
+      this._handlers.push(handler)
+    }
+    return {
+      dispose: () => {
+        const index = this._handlers.indexOf(handler)
+        if (index > -1) this._handlers.splice(index, 1)
+      }
+    }
+  }
+}
+
+/**
+ * Create an error signalling an operation was cancelled.
+ * @returns {Error} A 'CancelError' error.
+ * @param {string} [message] - The error message.
+ */
+exports.cancelError = function (message) {
+  const error = new Error(message || 'Operation cancelled')
+  error.name = 'CancelError'
+  return error
+}
+
 /**
  * Run a process with defined options asynchronously.
  * @returns {Promise} Resolves to a {@link ProcessResult}.
  * @param {string} path - The path to the process to run.
  * @param {object} options - The {@link Process} options.
  * @param {string} [stdin] - Stdin input to the process.
- * @throws {Error} When an error occurs at the JS or API level.
+ * @param {object} [token] - A {@link CancellationToken}; when cancellation
+ * is requested, the process is terminated.
+ * @throws {Error} When an error occurs at the JS or API level;
+ * 'CancelError' when the process was terminated through the token.
  */
-exports.runAsync = function (path, options, stdin) {
+exports.runAsync = function (path, options, stdin, token) {
   return new Promise((resolve, reject) => {
+    if (token != null && token.cancelled) {
+      reject(exports.cancelError())
+      return
+    }
+
     const stdout = []
     const stderr = []
     try {
       const run = new Process(path, options)
+      const cancellation = token != null
+        ? token.onCancel(() => run.terminate())
+        : null
       run.onStdout(line => stdout.push(line))
       run.onStderr(line => stderr.push(line))
       run.onDidExit(code => {
-        const result = { code: code, stdout: stdout.join(''), stderr: stderr.join('') }
-        resolve(result)
+        if (cancellation != null) cancellation.dispose()
+        if (token != null && token.cancelled) {
+          reject(exports.cancelError())
+        } else {
+          const result = { code: code, stdout: stdout.join(''), stderr: stderr.join('') }
+          resolve(result)
+        }
       })
 
       run.start()
@@ -47,3 +120,5 @@ exports.runAsync = function (path, options, stdin) {
     }
   })
 }
+
+exports.CancellationToken = CancellationToken
@@ -1,6 +1,6 @@
 /**
  * @file General utility methods for boilerplate poorer extensions.
- * @version 3.0.0
+ * @version 3.1.0
  * @author Martin Kopischke <martin@kopischke.net>
  * @license MIT
  */
@@ -40,6 +40,24 @@ exports.requireJSON = function (path) {
   return lines.length > 0 ? JSON.parse(lines.join('\n')) : null
 }
 
+/**
+ * Read the text of a file (as is, unlike `readlines()`, which keeps
+ * line terminators), closing it afterwards.
+ * @returns {?string} The file’s text (`null` if it cannot be read).
+ * @param {string} path - The path to the file.
+ */
+exports.readFile = function (path) {
+  try {
+    const file = nova.fs.open(path)
+    const text = file.read()
+    file.close()
+    return text
+  } catch (error) {
+    console.warn(error)
+    return null
+  }
+}
+
 /**
  * Shim for the `Workspace.contains` instance method; as of Nova 2,
  * that always returns true and `Workspace.relativizePath` always returns
@@ -3,28 +3,127 @@
  */
 const { findInPATH, makeExecutable } = require('./core/binaries')
 const cmds = require('./core/commands')
+const { describeConfig } = require('./core/config')
+const { changedFiles } = require('./core/git')
 const { ESLint } = require('./core/eslint')
-const { changedIssues, filterIssues } = require('./core/issues')
+const { applyFixedSource, clearFixes, storeFixes } = require('./core/fixes')
+const {
+  adjustIssues,
+  changedIssues,
+  filterIssues,
+  fitIssues,
+  parseSeverities
+} = require('./core/issues')
+const { pinnedVersion, projectNode } = require('./core/node')
+const { findPnP, resolvePnP, unwrapBinary, yarnSDK } = require('./core/packages')
+const {
+  extensionForSyntax,
+  findFiles,
+  hideProgress,
+  showProgress,
+  syntaxForPath
+} = require('./core/project')
+const { LintScheduler } = require('./core/scheduler')
+const { getServer, resetFailures, resetServers, stopServers } = require('./core/server')
+const { clearVersions, nodeVersion, statusReport } = require('./core/status')
+const { embeddedSyntaxes, scriptSyntaxes } = require('./core/syntaxes')
 const { Updatable } = require('./core/updatable')
 
 const {
   documentIsClosed,
   documentIsOpenInEditors,
+  findDocumentByPath,
   findDocumentByURI,
   getDocumentText
 } = require('./lib/document')
 const ext = require('./lib/extension')
-const { nixalize } = require('./lib/path')
-const { runAsync } = require('./lib/process')
+const { matchesGlob } = require('./lib/glob')
+const { fileURI, homePath, nixalize } = require('./lib/path')
+const { CancellationToken, runAsync } = require('./lib/process')
+const { getLocalConfig, notify, readFile } = require('./lib/utils')
 
 /**
  * Configuration keys.
  * @property {boolean} disabled - The “Disable ESLint” workspace option.
+ * @property {boolean|string} fixOnSave - The “Fix on save” option (a boolean
+ * globally, a choice between the global setting, “enabled” and “disabled”
+ * for the workspace).
+ * @property {Array.<string>} fixOnSaveRules - The rules to fix on save.
+ * @property {Array.<string>} fixOnSaveTypes - The fix types to apply on save.
+ * @property {boolean} useServer - The “Keep ESLint running” global option.
+ * @property {number} lintDelay - The delay before linting after a change.
+ * @property {number} lintLimit - The maximum number of concurrent lint runs.
+ * @property {boolean|string} lintOnSave - The “Lint on save only” option
+ * (global boolean and workspace choice as for `fixOnSave`).
+ * @property {string} gitBaseRef - The base revision for linting changed files.
+ * @property {string} eslintPath - The path to the ESLint executable to use
+ * instead of the one found automatically (global, can be set per workspace).
+ * @property {string} nodePath - The path to the Node executable to use
+ * instead of the one found automatically (global, can be set per workspace).
+ * @property {Array.<string>} ruleSeverities - The “rule=severity” overrides
+ * for the severity issues are shown with (workspace only).
+ * @property {Array.<string>} mutedRules - The rules whose issues are not
+ * shown (workspace only).
+ * @property {boolean|string} warningsAsHints - The “Show warnings as hints”
+ * option (global boolean and workspace choice as for `fixOnSave`).
+ * @property {boolean|string} reportUnused - The “Report unused disable
+ * directives” option (global boolean and workspace choice as for `fixOnSave`).
+ * @property {object} lintEmbedded - The options for linting the scripts
+ * embedded in documents, by syntax (global booleans and workspace choices
+ * as for `fixOnSave`; see {@link embeddedSyntaxes}).
+ * @property {Array.<string>} lintSyntaxes - The syntaxes of the documents
+ * to lint, besides those with embedded scripts (global, can be set per
+ * workspace).
+ * @property {Array.<string>} includeGlobs - The glob patterns of the files
+ * to lint (global, can be set per workspace).
+ * @property {Array.<string>} excludeGlobs - The glob patterns of the files
+ * not to lint (global, can be set per workspace).
+ * @property {string} remoteMirror - The local directory mirroring the
+ * workspace’s remote files (workspace only).
+ * @property {string} remoteRoot - The remote directory the mirror reflects
+ * (workspace only; defaults to the workspace root).
+ * @property {string} remoteConfig - The ESLint configuration file to lint
+ * remote documents without a mirror with (workspace only).
+ * @property {string} configBoundary - Where searches for ESLint configuration
+ * files stop: “root” (the filesystem root), “workspace” or “home” (global,
+ * can be set per workspace, where “global” defers to the global setting).
  */
 const configKeys = {
-  disabled: `${ext.prefixConfig()}.disable`
+  disabled: `${ext.prefixConfig()}.disable`,
+  fixOnSave: `${ext.prefixConfig()}.fix-on-save`,
+  fixOnSaveRules: `${ext.prefixConfig()}.fix-on-save-rules`,
+  fixOnSaveTypes: `${ext.prefixConfig()}.fix-on-save-types`,
+  useServer: `${ext.prefixConfig()}.use-server`,
+  lintDelay: `${ext.prefixConfig()}.lint-delay`,
+  lintLimit: `${ext.prefixConfig()}.lint-limit`,
+  lintOnSave: `${ext.prefixConfig()}.lint-on-save`,
+  gitBaseRef: `${ext.prefixConfig()}.git-base-ref`,
+  eslintPath: `${ext.prefixConfig()}.eslint-path`,
+  nodePath: `${ext.prefixConfig()}.node-path`,
+  ruleSeverities: `${ext.prefixConfig()}.rule-severities`,
+  mutedRules: `${ext.prefixConfig()}.muted-rules`,
+  warningsAsHints: `${ext.prefixConfig()}.warnings-as-hints`,
+  reportUnused: `${ext.prefixConfig()}.report-unused-directives`,
+  lintEmbedded: {
+    vue: `${ext.prefixConfig()}.lint-vue`,
+    svelte: `${ext.prefixConfig()}.lint-svelte`,
+    html: `${ext.prefixConfig()}.lint-html`,
+    markdown: `${ext.prefixConfig()}.lint-markdown`
+  },
+  lintSyntaxes: `${ext.prefixConfig()}.lint-syntaxes`,
+  includeGlobs: `${ext.prefixConfig()}.include-globs`,
+  excludeGlobs: `${ext.prefixConfig()}.exclude-globs`,
+  remoteMirror: `${ext.prefixConfig()}.remote-mirror`,
+  remoteRoot: `${ext.prefixConfig()}.remote-root`,
+  remoteConfig: `${ext.prefixConfig()}.remote-config`,
+  configBoundary: `${ext.prefixConfig()}.config-boundary`
 }
 
+/**
+ * The fix types ESLint knows about (see its `--fix-type` option).
+ */
+const fixTypes = ['problem', 'suggestion', 'layout']
+
 /**
  * Extension binaries.
  */
@@ -42,30 +141,55 @@ const collection = new IssueCollection()
 /**
  * Extension state.
  * @property {boolean} activationErrorHandled - Has an activation error been handled already?
+ * @property {Array.<object>} assistants - The Disposables of the registered
+ * IssueAssistants (one per linted syntax).
+ * @property {Map} checkedPaths - Whether the configured executable paths
+ * checked so far are executable, by path (the user is notified of those
+ * that are not once, when they are checked).
+ * @property {?object} lastError - The last error logged (`error`) and
+ * when it happened (`time`, a Date).
+ * @property {object} lastLint - The duration (`duration`, in milliseconds)
+ * and end time (`time`, a UNIX timestamp) of the last lint run, by URI.
  * @property {boolean} nodePath - The Updatable Node executable path.
+ * @property {?object} projectLint - The {@link CancellationToken} of the
+ * running project lint operation (if any).
+ * @property {Set.<string>} projectURIs - The URIs of the files whose issues
+ * were set by project lint operations.
  */
 const state = {
   activationErrorHandled: false,
-  nodePath: new Updatable()
+  assistants: [],
+  checkedPaths: new Map(),
+  lastError: null,
+  lastLint: {},
+  nodePath: new Updatable(),
+  projectLint: null,
+  projectURIs: new Set()
 }
 
+/**
+ * The number of files passed to a single ESLint run by project lint operations.
+ */
+const projectChunkSize = 25
+
 /**
  * Updatable ESLint instances to use for linting.
  */
 const linters = {}
 
 /**
- * A queue data item.
- * @typedef QueueData
- * @property {number} lastStarted - The index of the last started queue item.
- * @property {number} lastEnded - The index of the last ended queue item.
+ * Updatable Node executable paths matching the Node versions pinned
+ * per directory (`null` where no version is pinned or found).
  */
+const nodes = {}
 
 /**
- * Simple queue helping guarantee asynchronous linting chronology.
+ * The scheduler for lint operations. Because lint operations are asynchronous
+ * and their duration can vary widely depending on how busy the system is,
+ * it also ensures slower older runs do not overwrite faster newer ones.
  * @see {@link maybeLint}
  */
-const queue = {}
+const scheduler = new LintScheduler(maybeLint)
 
 /**
  * Check if we should throttle an operation.
@@ -77,6 +201,19 @@ const throttled = (since) => {
   return since != null && Date.now() - since <= limit
 }
 
+/**
+ * Get a switch option that can be overridden per workspace.
+ * @returns {boolean} The workspace choice if it is “enabled” or “disabled”,
+ * the global option’s value otherwise.
+ * @param {string} key - The configuration key (see {@link configKeys}).
+ */
+const getLocalSwitch = key => {
+  const local = nova.workspace.config.get(key)
+  return local === 'enabled' || local === 'disabled'
+    ? local === 'enabled'
+    : nova.config.get(key) === true
+}
+
 /**
  * Void the Issue collection for a URI (if necessary).
  * @returns {Array} An empty array (which we can return to .
@@ -84,16 +221,127 @@ const throttled = (since) => {
  */
 const noIssues = uri => {
   if (collection.has(uri)) collection.remove(uri)
+  clearFixes(uri)
+  delete state.lastLint[uri]
   return []
 }
 
+/**
+ * Get the Nova syntaxes of the documents to lint: those the user has
+ * listed (script syntaxes by default), and those of documents with
+ * embedded scripts the user wants linted (which have their own settings).
+ * @returns {Array.<string>} The syntax names.
+ */
+const getSyntaxes = () => {
+  const listed = getLocalConfig(configKeys.lintSyntaxes, 'array') || scriptSyntaxes
+  return listed
+    .map(syntax => syntax.trim().toLowerCase())
+    .filter(syntax => syntax.length && !embeddedSyntaxes.includes(syntax))
+    .concat(embeddedSyntaxes.filter(syntax => {
+      return getLocalSwitch(configKeys.lintEmbedded[syntax])
+    }))
+}
+
+/**
+ * Check if a file is to be linted according to the user’s include and
+ * exclude glob patterns. Patterns apply to paths relative to the workspace
+ * (absolute paths without the leading slash outside of it); files matching
+ * an exclude pattern are skipped, as are, if there are include patterns,
+ * files matching none of them.
+ * @returns {boolean} Whether the file is to be linted.
+ * @param {string} path - The path to the file.
+ */
+const isIncluded = path => {
+  const root = nova.workspace.path
+  const relative = root != null && path.startsWith(`${root}/`)
+    ? path.slice(root.length + 1)
+    : path.replace(/^\//, '')
+  const include = getLocalConfig(configKeys.includeGlobs, 'array') || []
+  const exclude = getLocalConfig(configKeys.excludeGlobs, 'array') || []
+  if (include.some(glob => glob.trim().length) && !matchesGlob(relative, include)) return false
+  return !matchesGlob(relative, exclude)
+}
+
+/**
+ * Get the adjustments the user wants made to the issues ESLint reports.
+ * @returns {object} The {@link IssueOptions}.
+ */
+const getIssueOptions = () => ({
+  severities: parseSeverities(nova.workspace.config.get(configKeys.ruleSeverities, 'array')),
+  muted: new Set(nova.workspace.config.get(configKeys.mutedRules, 'array') || []),
+  warningsAsHints: getLocalSwitch(configKeys.warningsAsHints)
+})
+
+/**
+ * Log an error, keeping it around for the status report.
+ * @param {Error} error - The error to log.
+ */
+const logError = error => {
+  console.error(error)
+  state.lastError = { error: error, time: new Date() }
+}
+
+/**
+ * Get an executable path set in the configuration. Paths that are not
+ * executable are ignored, and the user is notified about them. As `access()`
+ * calls are slow, paths are only checked once, until the configuration
+ * changes (see {@link resetPaths}) or the caches are cleared.
+ * @returns {?string} The executable path, if one is set and valid.
+ * @param {string} key - The configuration key (see {@link configKeys}).
+ */
+const getConfiguredPath = key => {
+  const value = getLocalConfig(key, 'string')
+  if (value == null || !value.trim().length) return null
+
+  const path = nova.path.normalize(nova.path.expanduser(value.trim()))
+  if (!state.checkedPaths.has(path)) {
+    const valid = nova.fs.access(path, nova.fs.X_OK)
+    state.checkedPaths.set(path, valid)
+    if (!valid) {
+      const id = `${ext.prefixMessage()}.not-executable`
+      const msg = nova.localize(id).replace('{path}', path)
+      console.warn(`Configured path “${path}” is not executable, ignoring it.`)
+      notify(id, msg)
+    }
+  }
+  return state.checkedPaths.get(path) ? path : null
+}
+
+/**
+ * Get an ESLint instance for a binary path. Shell wrappers around ESLint’s
+ * Node script (as installed by pnpm) are replaced by the script proper.
+ * @returns {object} The ESLint instance.
+ * @param {string} path - The path to the ESLint binary.
+ */
+const makeLinter = path => {
+  const binary = unwrapBinary(path)
+  return new ESLint(binary, { script: binary !== path })
+}
+
 /**
  * Get the ESLint instance responsible for files in a specified directory.
+ * An ESLint executable set in the configuration takes precedence over
+ * the one installed in a Yarn Plug’n’Play project, which in turn takes
+ * precedence over the one found by `npm-which`.
  * @returns {?object} An ESLint instance, if a valid binary path was found.
  * @param {string} dir - The path to the directory.
+ * @param {string} node - The path to the Node executable.
  * @throws {Error} 'ShellError' when executing `npm-which` fails.
  */
-async function getLinter (dir) {
+async function getLinter (dir, node) {
+  const configured = getConfiguredPath(configKeys.eslintPath)
+  if (configured != null) return makeLinter(configured)
+
+  // PnP projects have no `node_modules/.bin` for `npm-which` to search.
+  // We prefer the Yarn SDK wrapper, which sets up the runtime itself.
+  const pnp = findPnP(dir)
+  if (pnp != null) {
+    const sdk = yarnSDK(pnp)
+    if (sdk != null) return new ESLint(sdk, { script: true })
+    const resolved = await resolvePnP(node, pnp, dir)
+    if (resolved != null) return new ESLint(resolved, { preload: pnp })
+  }
+
   const bin = binaries.which
   const opts = { args: ['eslint'], cwd: dir, shell: true }
   const { code, stderr, stdout } = await runAsync(bin, opts)
@@ -107,7 +355,7 @@ async function getLinter (dir) {
   //   cannot be run, flavoured to the shell and hence unparseable.
   if (code === 0 && stdout.length) {
     const path = stdout.split('\n')[0]
-    if (nova.fs.access(path, nova.fs.X_OK)) return new ESLint(path)
+    if (nova.fs.access(path, nova.fs.X_OK)) return makeLinter(path)
   } else if (code > 1) {
     // We ignore code 1 as that code should never come from the shell itself,
     // and it also future proofs us against `npm-which` getting more idiomatic.
@@ -118,7 +366,7 @@ async function getLinter (dir) {
     } else {
       console.info(`Trying to make '${bin}' executable, then re-trying to get a linter …`)
       await makeExecutable(bin)
-      return getLinter(dir)
+      return getLinter(dir, node)
     }
   }
 
@@ -129,10 +377,11 @@ async function getLinter (dir) {
  * Update the ESLint instance responsible for files in a specified directory.
  * @returns {object} Either the current or an updated ESLint instance.
  * @param {string} dir - The path to the directory.
+ * @param {string} node - The path to the Node executable.
  */
-async function updateLinter (dir) {
+async function updateLinter (dir, node) {
   const current = linters[dir].value
-  const updated = await getLinter(dir)
+  const updated = await getLinter(dir, node)
   if ((updated == null) !== (current == null)) return updated
   if (updated != null && current != null && updated.binary !== current.binary) {
     return updated
@@ -140,138 +389,664 @@ async function updateLinter (dir) {
   return current
 }
 
+/**
+ * Get the Node executable matching the Node version pinned for a directory.
+ * Like ESLint lookups, pin lookups are throttled.
+ * @returns {?string} The path to the Node executable, if a version is pinned
+ * and installed through a supported version manager.
+ * @param {string} dir - The path to the directory.
+ */
+async function getPinnedNode (dir) {
+  if (nodes[dir] == null) nodes[dir] = new Updatable()
+  if (!throttled(nodes[dir].time)) await nodes[dir].update(projectNode(dir))
+  return nodes[dir].value
+}
+
+/**
+ * An ESLint execution context.
+ * @typedef LintContext
+ * @property {string} config - The path to the ESLint configuration file.
+ * @property {string} cwd - The directory to run ESLint in.
+ * @property {string} dir - The directory the ESLint instance was looked up for.
+ * @property {object} eslint - The ESLint instance to use.
+ * @property {string} node - The path to the Node executable used.
+ * @property {string} [path] - The path ESLint lints a document as (only
+ * for document contexts; see {@link getLintPath}).
+ */
+
+/**
+ * Get the ESLint execution context for a file, if possible.
+ * @returns {?LintContext} The context, if the file can be linted.
+ * @param {string} path - The path of the file to get the context for.
+ * @param {object} [options] - Context options.
+ * @param {boolean} [options.retry=true] - Whether to retry on ESLint lookup
+ * errors. The retry attempt itself sets this to `false` as a loop breaker.
+ * @param {boolean} [options.server=true] - Whether to route operations
+ * through a persistent ESLint process (linting files on disk does not).
+ */
+async function getContext (path, options) {
+  options = options || {}
+  const config = ESLint.config(path)
+  if (config == null) return null
+
+  // We need Node (both for npm-which and eslint).
+  // To not flood the user’s system with searches, we throttle them
+  // (the original `null` timestamp ensures we always do the first pass).
+  // Also, because `access()` calls are slow, we do not check for the
+  // validity of a once found Node executable every time, but rely on it
+  // being reset when execution errors happen.
+  // A Node executable set in the configuration bypasses all of this, as does
+  // one matching the Node version pinned for the directory (if installed).
+  const dir = nova.path.dirname(path)
+  const pinned = getConfiguredPath(configKeys.nodePath) || await getPinnedNode(dir)
+  const node = pinned != null ? new Updatable(pinned) : state.nodePath
+  if (node.value == null && !throttled(node.time)) await node.update(findInPATH('node'))
+  if (node.value == null) return null
+
+  // A `null` ESLint instance should only be present on the very first attempt,
+  // or when neither a global nor a local install is found. We always search for
+  // a binary in the former case (throttling does not happen on `null` timestamps),
+  // but throttle searches in the latter case, so as to not tax the user’s system.
+  // Because the `access()` call underlying `ESLint.valid` is costly, we do not check
+  // before every operation; instead, we try again if a ProcessError' is thrown.
+  if (linters[dir] == null) linters[dir] = new Updatable()
+  if (linters[dir].value == null && !throttled(linters[dir].time)) {
+    try {
+      await linters[dir].update(getLinter(dir, node.value))
+    } catch (error) {
+      logError(error)
+      if (error.name === 'ShellError' && maybeVoidNode() && options.retry !== false) {
+        console.info('Retrying ESLint lookup with re-set Node path …')
+        return getContext(path, Object.assign({}, options, { retry: false }))
+      }
+    }
+  }
+
+  const eslint = linters[dir].value
+  if (eslint == null) return null
+
+  // Asynchronous update check to catch new project-local installs
+  // that would otherwise be shadowed by a global ESLint install.
+  if (!linters[dir].updating && !throttled(linters[dir].time)) {
+    try {
+      linters[dir].update(updateLinter(dir, node.value))
+    } catch (error) {
+      logError(error)
+    }
+  }
+
+  // A configured or pinned Node executable is used to run ESLint itself,
+  // too (the binary’s shebang would pick up the one in the user’s $PATH).
+  eslint.node = pinned || (eslint.needsNode ? node.value : null)
+  eslint.reportUnused = getLocalSwitch(configKeys.reportUnused)
+
+  // Route operations through a persistent ESLint process if we can;
+  // should that fail, ESLint itself falls back to the CLI.
+  if (options.server !== false) {
+    eslint.server = nova.config.get(configKeys.useServer) !== false
+      ? getServer(node.value, eslint.binary, eslint.preload)
+      : null
+  }
+
+  const cwd = nova.path.dirname(config)
+  return { config, cwd, dir, eslint, node: node.value }
+}
+
+/**
+ * Get the ESLint execution context found for a file so far, without
+ * looking up executables or starting ESLint processes (which linting
+ * the file does).
+ * @returns {?LintContext} The context (`null` if no ESLint instance has
+ * been found for the file yet).
+ * @param {string} path - The path of the file to get the context for.
+ */
+function getCachedContext (path) {
+  const config = ESLint.config(path)
+  const dir = nova.path.dirname(path)
+  const eslint = linters[dir] != null ? linters[dir].value : null
+  if (config == null || eslint == null) return null
+
+  const pinned = nodes[dir] != null ? nodes[dir].value : null
+  const node = getConfiguredPath(configKeys.nodePath) || pinned || state.nodePath.value
+  return { config, cwd: nova.path.dirname(config), dir, eslint, node }
+}
+
+/**
+ * Get the local path a remote file is linted as: the matching file in the
+ * local mirror of the workspace, if one is configured and the file is part
+ * of what it mirrors, a file of the same name next to the ESLint
+ * configuration set for remote documents otherwise.
+ * @returns {?string} The local path (if the file can be linted).
+ * @param {string} path - The remote path of the file.
+ */
+function getRemotePath (path) {
+  const config = nova.workspace.config
+  const mirror = config.get(configKeys.remoteMirror, 'string')
+  const root = config.get(configKeys.remoteRoot, 'string') || nova.workspace.path
+  if (mirror && root) {
+    const base = root.replace(/\/+$/, '')
+    if (path.startsWith(`${base}/`)) return nova.path.join(mirror, path.slice(base.length + 1))
+  }
+
+  const eslintrc = config.get(configKeys.remoteConfig, 'string')
+  if (eslintrc) return nova.path.join(nova.path.dirname(eslintrc), nova.path.basename(path))
+  return null
+}
+
+/**
+ * Get the path ESLint lints a document as. That is its own path for local
+ * documents, the local path set up for remote ones (see {@link getRemotePath})
+ * and, for untitled documents, a virtual file in the workspace root, named
+ * after the document’s syntax (so ESLint applies the configuration for it).
+ * @returns {?string} The path (`null` if the document cannot be linted).
+ * @param {object} doc - The TextDocument to get the path for.
+ */
+function getLintPath (doc) {
+  if (doc.isUntitled) {
+    const root = nova.workspace.path
+    const extension = extensionForSyntax(doc.syntax)
+    return root && extension ? nova.path.join(root, `untitled${extension}`) : null
+  }
+  if (doc.path == null) return null
+  return doc.isRemote ? getRemotePath(doc.path) : doc.path
+}
+
+/**
+ * Get the ESLint execution context for a document, if possible.
+ * @returns {?LintContext} The context, if the document can be linted.
+ * @param {object} doc - The TextDocument to get the context for.
+ */
+async function getDocumentContext (doc) {
+  if (!getSyntaxes().includes((doc.syntax || '').toLowerCase())) return null
+  if (!doc.isUntitled && doc.path != null && !isIncluded(doc.path)) return null
+
+  const path = getLintPath(doc)
+  if (path == null) return null
+  const context = await getContext(path)
+  if (context != null) context.path = path
+  return context
+}
+
+/**
+ * Reset the Node and ESLint paths of a context if they caused an error.
+ * @returns {boolean} Whether the operation that failed should be retried.
+ * @param {Error} error - The error thrown by the operation.
+ * @param {LintContext} context - The context the operation was run in.
+ */
+function recoverContext (error, context) {
+  if (error.name !== 'ProcessError') return false
+
+  const noNode = maybeVoidNode(context.dir)
+  const noESLint = !context.eslint.valid
+  if (noESLint) linters[context.dir] = new Updatable()
+  if (noNode || noESLint) {
+    const both = noNode && noESLint
+    const info = both ? 'Node and ESLint paths' : `${noNode ? 'Node' : 'ESLint'} path`
+    console.info(`Retrying ESLint operation with re-set ${info} …`)
+    return true
+  }
+  return false
+}
+
+/**
+ * Request linting an editor’s document through the scheduler.
+ * @returns {Array} An empty array (issues are set asynchronously).
+ * @param {object} editor - The TextEditor to lint.
+ */
+function requestLint (editor) {
+  // In “lint on save only” mode, we only lint unmodified documents
+  // (i.e. those just opened or saved).
+  if (getLocalSwitch(configKeys.lintOnSave) && editor.document.isDirty) return []
+  scheduler.schedule(editor)
+  return []
+}
+
 /**
  * Launch a lint operation, if possible.
  * @returns {boolean} Whether a lint operation was started.
  * @param {object} editor - The TextEditor to lint.
+ * @param {object} token - The {@link CancellationToken} of the operation.
  * @param {boolean} [retry=true] Whether to retry linting on execution errors.
  * Currently, retries happens when either the ESLint binary lookup or its
  * execution proper fails and we need to reset the path values for it or Node.
  * The retry attempts themselves set this to `false` as a loop breaker.
  */
-async function maybeLint (editor, retry) {
+async function maybeLint (editor, token, retry) {
   try {
     if (nova.workspace.config.get(configKeys.disabled)) {
       collection.clear()
+      clearFixes()
+      state.projectURIs.clear()
       return []
     }
 
-    // Do not lint documents we cannot walk the directory hierarchy of;
-    // however, we do lint empty documents, in case some rule covers that.
+    // Get this early, there can be race conditions; however,
+    // we do lint empty documents, in case some rule covers that.
     const doc = editor.document
     const uri = doc.uri
-    const path = doc.path
-    if (doc.isUntitled || doc.isRemote) return noIssues(uri)
+    const src = getDocumentText(doc)
+    const context = await getDocumentContext(doc)
+    if (context == null) return noIssues(uri)
+
+    // The scheduler cancels runs whose document has changed meanwhile,
+    // so results that arrive for a non-cancelled run are current.
+    if (token.cancelled) return []
+    try {
+      const path = nixalize(context.path)
+      const start = Date.now()
+      const results = await context.eslint.lint(src, path, context.cwd, token)
+      if (token.cancelled) return []
+      state.lastLint[uri] = { duration: Date.now() - start, time: Date.now() }
+      if (documentIsClosed(doc)) {
+        noIssues(uri)
+      } else {
+        const located = fitIssues(filterIssues(results, doc, src), src, doc.eol)
+        const issues = adjustIssues(located, getIssueOptions())
+        const changed = changedIssues(collection.get(uri), issues)
+        if (changed) collection.set(uri, issues)
+        storeFixes(uri, src, issues)
+      }
+    } catch (error) {
+      if (error.name === 'CancelError') return []
+      logError(error)
+      noIssues(uri)
+      if (recoverContext(error, context) && retry !== false) {
+        return maybeLint(editor, token, false)
+      }
+    }
+  } catch (error) {
+    logError(error)
+  }
 
-    // Get this early, there can be race conditions.
+  return []
+}
+
+/**
+ * Fix the auto-fixable problems in an editor’s document, then re-lint it.
+ * @returns {?boolean} Whether the document was fixed (`null` if
+ * the document cannot be fixed, because it cannot be linted).
+ * @param {object} editor - The TextEditor to fix.
+ * @param {object} [options] - Restrictions on the fixes applied
+ * (see {@link ESLint.fix}).
+ * @param {boolean} [retry=true] Whether to retry fixing on execution errors
+ * (see {@link maybeLint}).
+ */
+async function fixDocument (editor, options, retry) {
+  try {
+    if (nova.workspace.config.get(configKeys.disabled)) return null
+
+    const doc = editor.document
     const src = getDocumentText(doc)
-    const config = ESLint.config(path)
-    if (config == null) return noIssues(uri)
-
-    // We need Node (both for npm-which and eslint).
-    // To not flood the user’s system with searches, we throttle them
-    // (the original `null` timestamp ensures we always do the first pass).
-    // Also, because `access()` calls are slow, we do not check for the
-    // validity of a once found Node executable every time, but rely on it
-    // being reset when execution errors happen.
-    const node = state.nodePath
-    if (node.value == null && !throttled(node.time)) await node.update(findInPATH('node'))
-    if (node.value == null) return noIssues(uri)
-
-    // A `null` ESLint instance should only be present on the very first attempt,
-    // or when neither a global nor a local install is found. We always search for
-    // a binary in the former case (throttling does not happen on `null` timestamps),
-    // but throttle searches in the latter case, so as to not tax the user’s system.
-    // Because the `access()` call underlying `ESLint.valid` is costly, we do not check
-    // before every operation; instead, we try again if a ProcessError' is thrown.
-    const dir = nova.path.dirname(path)
-
-    if (linters[dir] == null) linters[dir] = new Updatable()
-    if (linters[dir].value == null && !throttled(linters[dir].time)) {
-      try {
-        await linters[dir].update(getLinter(dir))
-      } catch (error) {
-        console.error(error)
-        if (error.name === 'ShellError' && maybeVoidNode() && retry !== false) {
-          console.info('Retrying lint operation with re-set Node path …')
-          return maybeLint(editor, false)
-        }
+    const context = await getDocumentContext(doc)
+    if (context == null) return null
+
+    try {
+      const path = nixalize(context.path)
+      const fixed = await context.eslint.fix(src, path, context.cwd, options)
+      // Do not clobber changes made while ESLint was busy.
+      if (fixed != null && getDocumentText(doc) === src) {
+        await applyFixedSource(editor, src, fixed)
+        requestLint(editor)
+        return true
+      }
+    } catch (error) {
+      logError(error)
+      if (recoverContext(error, context) && retry !== false) {
+        return fixDocument(editor, options, false)
       }
     }
+  } catch (error) {
+    logError(error)
+  }
+
+  return false
+}
+
+/**
+ * Fix all auto-fixable problems in an editor’s document,
+ * notifying the user if the document cannot be fixed.
+ * @param {object} editor - The TextEditor to fix.
+ */
+async function fixAll (editor) {
+  if (await fixDocument(editor) === null) {
+    const id = `${ext.prefixCommand()}.fix-all`
+    notify(id, nova.localize(`${id}.msg.no-linter`))
+  }
+}
 
-    const eslint = linters[dir].value
-    if (eslint == null) return noIssues(uri)
+/**
+ * Fix the auto-fixable problems in an editor’s document about to be saved,
+ * if the user has switched on fixing on save.
+ * @returns {Promise} Resolves once the document has been fixed.
+ * @param {object} editor - The TextEditor about to be saved.
+ */
+async function maybeFixOnSave (editor) {
+  if (!getLocalSwitch(configKeys.fixOnSave)) return
+
+  const rules = getLocalConfig(configKeys.fixOnSaveRules) || []
+  const types = (getLocalConfig(configKeys.fixOnSaveTypes) || []).filter(type => {
+    const known = fixTypes.includes(type)
+    if (!known) console.warn(`Ignoring unknown fix type '${type}'.`)
+    return known
+  })
+  await fixDocument(editor, { rules, types })
+}
+
+/**
+ * Statistics about a project lint operation.
+ * @typedef ProjectLintStats
+ * @property {number} files - The number of files linted.
+ * @property {number} problems - The number of problems found.
+ * @property {number} withProblems - The number of files with problems.
+ */
 
-    // Asynchronous update check to catch new project-local installs
-    // that would otherwise be shadowed by a global ESLint install.
-    if (!linters[dir].updating && !throttled(linters[dir].time)) {
+/**
+ * Lint files on disk, setting their issues in the collection. Files open
+ * in an editor are skipped, as their issues reflect their editor contents.
+ * @returns {ProjectLintStats} Statistics about the operation.
+ * @param {Array.<string>} paths - The paths of the files to lint.
+ * @param {object} token - The {@link CancellationToken} of the operation.
+ * @param {Function} [progress] - Called with the number of files linted
+ * and the total number of files to lint after each ESLint run.
+ */
+async function lintFiles (paths, token, progress) {
+  const stats = { files: 0, problems: 0, withProblems: 0 }
+
+  // Files sharing an ESLint binary and working directory are linted together.
+  // Contexts are looked up once per configuration file, not per directory.
+  const contexts = {}
+  const groups = {}
+  for (const path of paths) {
+    if (token.cancelled) return stats
+    if (findDocumentByPath(path)) continue
+
+    const config = ESLint.config(path)
+    if (config == null) continue
+    if (!(config in contexts)) contexts[config] = await getContext(path, { server: false })
+    const context = contexts[config]
+    if (context == null) continue
+
+    const key = `${context.eslint.binary}\n${context.cwd}`
+    if (groups[key] == null) groups[key] = { context: context, paths: [] }
+    groups[key].paths.push(nixalize(path))
+  }
+
+  const options = getIssueOptions()
+  const total = Object.values(groups).reduce((sum, group) => sum + group.paths.length, 0)
+  let done = 0
+  for (const { context, paths } of Object.values(groups)) {
+    // ESLint only looks for a legacy ignore file in its working directory.
+    const ignore = ESLint.isFlatConfig(context.config) ? null : ESLint.ignore(context.cwd)
+    const ignorePath = ignore && nova.path.basename(ignore) === '.eslintignore' ? ignore : null
+
+    for (let index = 0; index < paths.length; index += projectChunkSize) {
+      if (token.cancelled) return stats
+      const chunk = paths.slice(index, index + projectChunkSize)
       try {
-        linters[dir].update(updateLinter(dir))
+        const results = await context.eslint.lintFiles(chunk, context.cwd, ignorePath, token)
+        chunk.forEach(path => {
+          const uri = fileURI(path)
+          if (findDocumentByURI(uri)) return
+          const doc = { syntax: syntaxForPath(path) || '' }
+          const found = results[path] || []
+          // Telling parsing errors in scripts from those in the markup of
+          // files with embedded scripts takes their text (as in the editor).
+          const text = found.length === 1 && embeddedSyntaxes.includes(doc.syntax)
+            ? readFile(path)
+            : null
+          const issues = adjustIssues(filterIssues(found, doc, text), options)
+          if (issues.length) {
+            collection.set(uri, issues)
+            state.projectURIs.add(uri)
+            stats.problems += issues.length
+            stats.withProblems += 1
+          } else {
+            noIssues(uri)
+            state.projectURIs.delete(uri)
+          }
+          stats.files += 1
+        })
       } catch (error) {
-        console.error(error)
+        if (error.name === 'CancelError') return stats
+        logError(error)
       }
+
+      done += chunk.length
+      if (progress) progress(done, total)
     }
+  }
 
-    // Because lint operations are asynchronous and their duration can
-    // vary widely depending on how busy the system is, we need to ensure
-    // we respect their start chronology when processing their results
-    // (i.e. ensure that slower older runs do not overwrite faster newer ones).
-    if (queue[uri] == null) queue[uri] = { lastStarted: 1, lastEnded: 0 }
-    const index = queue[uri].lastStarted++
-    try {
-      const cwd = nova.path.dirname(config)
-      const results = await eslint.lint(src, nixalize(path), cwd)
-      if (queue[uri].lastEnded < index) {
-        queue[uri].lastEnded = index
-        if (documentIsClosed(doc)) {
-          noIssues(uri)
-        } else {
-          const issues = filterIssues(results, doc)
-          const changed = changedIssues(collection.get(uri), issues)
-          if (changed) collection.set(uri, issues)
-        }
-      }
-    } catch (error) {
-      console.error(error)
-      noIssues(uri)
-      if (error.name === 'ProcessError') {
-        const noNode = maybeVoidNode()
-        const noESLint = !eslint.valid
-        if (noESLint) linters[dir] = new Updatable()
-        if ((noNode || noESLint) && retry !== false) {
-          const both = noNode && noESLint
-          const info = both ? 'Node and ESLint paths' : `${noNode ? 'Node' : 'ESLint'} path`
-          console.info(`Retrying lint operation with re-set ${info} …`)
-          return maybeLint(editor, false)
-        }
-      }
+  return stats
+}
+
+/**
+ * Run a project lint operation, showing progress and the option to cancel
+ * the operation in a notification. Starting a project lint operation cancels
+ * the one running (if any) and replaces the issues found by the last one.
+ * @param {Function} find - Called with the operation’s {@link CancellationToken}
+ * and the syntaxes to lint, returns a Promise resolving to the paths of the
+ * files to lint (files of other syntaxes are skipped).
+ */
+async function runProjectLint (find) {
+  const id = `${ext.prefixCommand()}.lint-project`
+  if (state.projectLint != null) state.projectLint.cancel()
+  const token = new CancellationToken()
+  state.projectLint = token
+
+  try {
+    if (nova.workspace.config.get(configKeys.disabled)) return
+
+    state.projectURIs.forEach(uri => { if (!findDocumentByURI(uri)) noIssues(uri) })
+    state.projectURIs.clear()
+
+    showProgress(nova.localize(`${id}.msg.searching`), token)
+    const syntaxes = getSyntaxes()
+    const paths = (await find(token, syntaxes)).filter(path => {
+      return syntaxes.includes(syntaxForPath(path)) && isIncluded(path)
+    })
+    const stats = await lintFiles(paths, token, (done, total) => {
+      const msg = nova.localize(`${id}.msg.progress`)
+      showProgress(msg.replace('{done}', done).replace('{total}', total), token)
+    })
+
+    hideProgress()
+    const msg = token.cancelled
+      ? nova.localize(`${id}.msg.cancelled`)
+      : nova.localize(`${id}.msg.done`)
+        .replace('{files}', stats.files)
+        .replace('{problems}', stats.problems)
+        .replace('{withProblems}', stats.withProblems)
+    notify(id, msg)
+  } catch (error) {
+    hideProgress()
+    logError(error)
+    if (error.name === 'GitError') notify(id, nova.localize(`${id}.msg.git-error`))
+  } finally {
+    if (state.projectLint === token) state.projectLint = null
+  }
+}
+
+/**
+ * Lint all lintable files in a directory hierarchy.
+ * @param {string} dir - The directory to lint.
+ */
+function lintProject (dir) {
+  runProjectLint((token, syntaxes) => findFiles(dir, syntaxes, token))
+}
+
+/**
+ * Lint the lintable files git considers changed in the workspace: modified,
+ * staged and untracked files, plus those changed since the configured base
+ * revision (if any).
+ * @param {string} dir - The directory of the git work tree to check.
+ */
+function lintChanged (dir) {
+  const base = getLocalConfig(configKeys.gitBaseRef)
+  runProjectLint(_ => changedFiles(dir, base ? base.trim() : null))
+}
+
+/**
+ * Show a status report for an editor’s document: the configuration,
+ * executables and lookups linting it relies on, and how linting last went.
+ * @param {object} editor - The TextEditor whose document to report on.
+ */
+async function showStatus (editor) {
+  const doc = editor.document
+  const path = getLintPath(doc)
+  const dir = path != null ? nova.path.dirname(path) : null
+  const document = {
+    title: 'document',
+    items: [['path', doc.path], ['lint-path', path !== doc.path ? path : null], ['syntax', doc.syntax]]
+  }
+  const sections = [document]
+
+  let context = null
+  if (nova.workspace.config.get(configKeys.disabled)) {
+    document.note = 'note.disabled'
+  } else if (path == null) {
+    document.note = 'note.no-path'
+  } else if (!getSyntaxes().includes((doc.syntax || '').toLowerCase())) {
+    document.note = 'note.no-syntax'
+  } else if (!doc.isUntitled && !isIncluded(doc.path)) {
+    document.note = 'note.excluded'
+  } else if (ESLint.config(path) == null) {
+    document.note = 'note.no-config'
+  } else {
+    // The report shows what linting found, it does not look anything up.
+    context = getCachedContext(path)
+    if (context == null) document.note = linters[dir] == null ? 'note.not-linted' : 'note.no-eslint'
+  }
+
+  if (context != null) {
+    const { config, cwd, eslint, node } = context
+    const version = promise => promise.catch(error => { logError(error); return null })
+    sections.push({
+      title: 'config',
+      items: [
+        ['config-file', config],
+        ['flat-config', ESLint.isFlatConfig(config)],
+        ['cwd', cwd],
+        ['boundary', ESLint.boundary || '/']
+      ]
+    }, {
+      title: 'eslint',
+      items: [
+        ['binary', eslint.binary],
+        ['version', await version(eslint.version(cwd))],
+        ['configured', getConfiguredPath(configKeys.eslintPath) != null],
+        ['preload', eslint.preload],
+        ['worker', eslint.server != null && eslint.server.running]
+      ]
+    }, {
+      title: 'node',
+      items: [
+        ['binary', node],
+        ['version', await version(nodeVersion(node))],
+        ['configured', getConfiguredPath(configKeys.nodePath) != null],
+        ['pinned-version', pinnedVersion(context.dir)]
+      ]
+    })
+  }
+
+  const updated = value => value != null && value.time != null ? new Date(value.time) : null
+  const last = state.lastLint[doc.uri]
+  const error = state.lastError
+  sections.push({
+    title: 'lookups',
+    items: [
+      ['node-lookup', updated(state.nodePath)],
+      ['pinned-lookup', updated(nodes[dir])],
+      ['eslint-lookup', updated(linters[dir])]
+    ]
+  }, {
+    title: 'last-lint',
+    items: [['time', updated(last)], ['duration', last ? last.duration : null]]
+  }, {
+    title: 'last-error',
+    items: [['time', error ? error.time : null]],
+    text: error ? String(error.error) : null
+  })
+
+  const content = statusReport(sections)
+  nova.workspace.openNewTextDocument({ content: content, syntax: 'markdown' })
+}
+
+/**
+ * Show the configuration ESLint resolves for an editor’s document (i.e.
+ * its `--print-config` output), as a read-only JSON file.
+ * @param {object} editor - The TextEditor whose document to show the config of.
+ */
+async function showConfig (editor) {
+  const id = `${ext.prefixCommand()}.show-config`
+  try {
+    const doc = editor.document
+    const context = await getDocumentContext(doc)
+    if (context == null) {
+      notify(id, nova.localize(`${id}.msg.no-linter`))
+      return
     }
+
+    const path = nixalize(context.path)
+    const resolved = await context.eslint.printConfig(path, context.cwd)
+    const content = JSON.stringify(describeConfig(resolved, context.path, context.config), null, 2)
+
+    // A file of our own, as untitled documents cannot be made read-only.
+    const file = nova.path.join(ext.tmpDir(), `${nova.path.basename(path)}.eslint-config.json`)
+    if (nova.fs.access(file, nova.fs.F_OK)) nova.fs.remove(file)
+    const handle = nova.fs.open(file, 'w')
+    handle.write(`${content}\n`)
+    handle.close()
+    nova.fs.chmod(file, 0o444)
+    nova.workspace.openFile(file)
   } catch (error) {
-    console.error(error)
+    logError(error)
+    notify(id, nova.localize(`${id}.msg.error`))
   }
+}
 
-  return []
+/**
+ * Get the configuration ESLint resolves for a document (i.e. its
+ * `--print-config` output).
+ * @returns {Promise} Resolves to the configuration (`null` if there is
+ * no linter for the document, or if ESLint fails to resolve it).
+ * @param {object} doc - The TextDocument to resolve the config for.
+ */
+async function resolveConfig (doc) {
+  try {
+    const context = await getDocumentContext(doc)
+    if (context == null) return null
+    return await context.eslint.printConfig(nixalize(context.path), context.cwd)
+  } catch (error) {
+    logError(error)
+    return null
+  }
 }
 
 /**
  * Void our cached Node executable data if it is not valid anymore.
  * We call this when Node-dependent operations fail.
  * @returns {boolean} Whether the cached data was voided.
+ * @param {string} [dir] - The directory whose pinned Node to check, too.
  */
-function maybeVoidNode () {
-  const node = state.nodePath.value
-  const voidNode = node != null && !nova.fs.access(node, nova.fs.X_OK)
+function maybeVoidNode (dir) {
+  const invalid = node => node != null && !nova.fs.access(node, nova.fs.X_OK)
+  const voidNode = invalid(state.nodePath.value)
   if (voidNode) state.nodePath = new Updatable()
-  return voidNode
+  const voidPinned = dir != null && nodes[dir] != null && invalid(nodes[dir].value)
+  if (voidPinned) delete nodes[dir]
+  return voidNode || voidPinned
 }
 
 /**
- * Register the ESLint IssueAssistant.
+ * Register the ESLint IssueAssistant for the syntaxes to lint,
+ * replacing the registrations for those linted so far.
  */
 function registerAssistant () {
-  const selector = { syntax: '*' }
-  const object = { provideIssues: maybeLint }
-  nova.assistants.registerIssueAssistant(selector, object)
+  state.assistants.forEach(assistant => assistant.dispose())
+  const object = { provideIssues: requestLint }
+  state.assistants = getSyntaxes().map(syntax => {
+    return nova.assistants.registerIssueAssistant({ syntax: syntax }, object)
+  })
 }
 
 /**
@@ -279,8 +1054,40 @@ function registerAssistant () {
  */
 function registerCommands () {
   const prefix = ext.prefixCommand()
+  nova.commands.register(`${prefix}.fix-all`, fixAll)
+  nova.commands.register(`${prefix}.fix-issue`, cmds.fixIssue)
+  nova.commands.register(`${prefix}.mute-rule`, editor => {
+    cmds.muteRule(editor, configKeys.mutedRules)
+  })
+  nova.commands.register(`${prefix}.override-severity`, editor => {
+    cmds.overrideSeverity(editor, configKeys.ruleSeverities)
+  })
+  const inWorkspace = lint => _ => {
+    if (nova.workspace.path) {
+      lint(nova.workspace.path)
+    } else {
+      const id = `${prefix}.lint-project`
+      notify(id, nova.localize(`${id}.msg.no-workspace`))
+    }
+  }
+  nova.commands.register(`${prefix}.lint-project`, inWorkspace(lintProject))
+  nova.commands.register(`${prefix}.lint-changed`, inWorkspace(lintChanged))
+  nova.commands.register(`${prefix}.lint-folder`, _ => {
+    const msg = nova.localize(`${prefix}.lint-folder.prompt`)
+    const options = { allowFiles: false, allowFolders: true }
+    nova.workspace.showFileChooser(msg, options, paths => {
+      if (paths && paths.length) lintProject(paths[0])
+    })
+  })
   nova.commands.register(`${prefix}.open-config`, cmds.openConfig)
   nova.commands.register(`${prefix}.open-ignore`, cmds.openIgnore)
+  nova.commands.register(`${prefix}.open-rule-docs`, cmds.openRuleDocs)
+  nova.commands.register(`${prefix}.open-rule-config`, editor => {
+    cmds.openRuleConfig(editor, resolveConfig)
+  })
+  nova.commands.register(`${prefix}.show-status`, showStatus)
+  nova.commands.register(`${prefix}.show-config`, showConfig)
+  nova.commands.register(`${prefix}.reset-caches`, resetCaches)
   nova.commands.register(`${prefix}.workspace-prefs`, _ => {
     nova.workspace.openConfig()
   })
@@ -290,9 +1097,93 @@ function registerCommands () {
  * Register configuration listeners.
  */
 function registerConfigListeners () {
-  nova.workspace.config.onDidChange(configKeys.disabled, (newValue, oldValue) => {
-    if (newValue !== oldValue) nova.workspace.textEditors.forEach(maybeLint)
+  const relint = (newValue, oldValue) => {
+    if (newValue !== oldValue) nova.workspace.textEditors.forEach(requestLint)
+  }
+  nova.workspace.config.onDidChange(configKeys.disabled, relint)
+  nova.workspace.config.onDidChange(configKeys.ruleSeverities, relint)
+  nova.workspace.config.onDidChange(configKeys.mutedRules, relint)
+  nova.workspace.config.onDidChange(configKeys.warningsAsHints, relint)
+  nova.config.onDidChange(configKeys.warningsAsHints, relint)
+  nova.workspace.config.onDidChange(configKeys.reportUnused, relint)
+  nova.config.onDidChange(configKeys.reportUnused, relint)
+  nova.config.onDidChange(configKeys.lintDelay, updateScheduler)
+  nova.config.onDidChange(configKeys.lintLimit, updateScheduler)
+  nova.config.onDidChange(configKeys.useServer, (newValue, oldValue) => {
+    if (newValue !== oldValue && newValue === false) stopServers()
   })
+  for (const key of Object.values(configKeys.lintEmbedded).concat(configKeys.lintSyntaxes)) {
+    const update = (newValue, oldValue) => {
+      if (newValue === oldValue) return
+      registerAssistant()
+      nova.workspace.textEditors.forEach(requestLint)
+    }
+    nova.config.onDidChange(key, update)
+    nova.workspace.config.onDidChange(key, update)
+  }
+  for (const key of [configKeys.includeGlobs, configKeys.excludeGlobs]) {
+    nova.config.onDidChange(key, relint)
+    nova.workspace.config.onDidChange(key, relint)
+  }
+  const rebound = (newValue, oldValue) => {
+    if (newValue === oldValue) return
+    updateBoundary()
+    nova.workspace.textEditors.forEach(requestLint)
+  }
+  nova.config.onDidChange(configKeys.configBoundary, rebound)
+  nova.workspace.config.onDidChange(configKeys.configBoundary, rebound)
+  for (const key of [configKeys.remoteMirror, configKeys.remoteRoot, configKeys.remoteConfig]) {
+    nova.workspace.config.onDidChange(key, relint)
+  }
+  for (const key of [configKeys.eslintPath, configKeys.nodePath]) {
+    nova.config.onDidChange(key, resetPaths)
+    nova.workspace.config.onDidChange(key, resetPaths)
+  }
+}
+
+/**
+ * Forget the Node and ESLint executables found so far, and re-lint
+ * all open documents with the ones now configured (or found).
+ * @param {?*} newValue - The new value of the changed configuration item.
+ * @param {?*} oldValue - The old value of the changed configuration item.
+ */
+function resetPaths (newValue, oldValue) {
+  if (newValue === oldValue) return
+  clearCaches()
+  nova.workspace.textEditors.forEach(requestLint)
+}
+
+/**
+ * Forget everything we have found out about the Node and ESLint executables
+ * so far, and stop their worker processes, so the next lint operations
+ * start from scratch (without any throttling).
+ */
+function clearCaches () {
+  Object.keys(linters).forEach(dir => delete linters[dir])
+  Object.keys(nodes).forEach(dir => delete nodes[dir])
+  state.checkedPaths.clear()
+  state.nodePath = new Updatable()
+  stopServers()
+  resetFailures()
+  clearVersions()
+}
+
+/**
+ * Clear all linter caches, including ESLint’s own cache files,
+ * and re-lint all open documents.
+ */
+function resetCaches () {
+  clearCaches()
+  try {
+    const tmp = ext.tmpDir()
+    nova.fs.listdir(tmp).forEach(name => nova.fs.remove(nova.path.join(tmp, name)))
+  } catch (error) {
+    console.warn(error)
+  }
+
+  nova.workspace.textEditors.forEach(requestLint)
+  const id = `${ext.prefixCommand()}.reset-caches`
+  notify(id, nova.localize(`${id}.msg.done`))
 }
 
 /**
@@ -310,12 +1201,19 @@ function registerEditorListeners () {
       const doc = destroyed.document
       const uri = doc.uri
       if (documentIsClosed(doc)) {
-        if (collection.has(uri)) collection.remove(uri)
+        scheduler.cancel(uri)
+        // Files covered by a project lint keep their issues, as of their
+        // state on disk (their last lint was of their editor contents).
+        if (state.projectURIs.has(uri) && !doc.isUntitled) {
+          lintFiles([doc.path], new CancellationToken()).catch(logError)
+        } else {
+          noIssues(uri)
+        }
       } else {
         // There is a race condition where a very rapid change just before
         // a TextEditor containing the document is destroyed leaves the
         // collection for that document in the wrong state.
-        maybeLint(documentIsOpenInEditors(doc)[0])
+        requestLint(documentIsOpenInEditors(doc)[0])
       }
     })
 
@@ -324,6 +1222,8 @@ function registerEditorListeners () {
     // 1. needs handling as above, 2. will fire a change event for the
     // editor(s) containing the renamed file, but copying the issues over
     // will stop them flickering in and out of existence in the Issues pane.
+    // This is also where we fix the document before it is saved, if asked
+    // to: Nova delays saving until the returned Promise resolves.
     added.onWillSave(willSave => {
       const oldURI = willSave.document.uri
       const once = willSave.onDidSave(didSave => {
@@ -334,15 +1234,54 @@ function registerEditorListeners () {
         }
         once.dispose()
       })
+      return maybeFixOnSave(willSave)
+    })
+
+    // In “lint on save only” mode, saving is what triggers linting.
+    // Workers need to load configurations anew once one of them changes.
+    added.onDidSave(saved => {
+      const path = saved.document.path
+      if (path != null && ESLint.isConfigSource(path)) resetServers()
+      if (getLocalSwitch(configKeys.lintOnSave)) scheduler.schedule(saved)
     })
   })
 }
 
+/**
+ * Update the directory ESLint configuration file searches stop at
+ * from the extension configuration.
+ */
+function updateBoundary () {
+  const local = nova.workspace.config.get(configKeys.configBoundary)
+  const boundary = local != null && local !== 'global'
+    ? local
+    : nova.config.get(configKeys.configBoundary)
+  if (boundary === 'workspace') {
+    ESLint.boundary = nova.workspace.path
+  } else if (boundary === 'home') {
+    ESLint.boundary = homePath()
+  } else {
+    ESLint.boundary = null
+  }
+}
+
+/**
+ * Update the lint scheduler settings from the extension configuration.
+ */
+function updateScheduler () {
+  const delay = nova.config.get(configKeys.lintDelay, 'number')
+  const limit = nova.config.get(configKeys.lintLimit, 'number')
+  scheduler.delay = delay != null && delay > 0 ? delay : 0
+  scheduler.limit = limit != null && limit > 0 ? limit : 1
+}
+
 /**
  * Update the extension configuration.
  */
 function updateConfig () {
   const prefix = ext.prefixConfig()
+  // The `eslint-path` key has been re-introduced with different semantics
+  // since; this only ever runs before the user could have set it, though.
   if (!nova.config.get(`${prefix}.updated.v1.1.0`)) {
     nova.config.remove(`${prefix}.eslint-path`)
     nova.config.set(`${prefix}.updated.v1.1.0`, true)
@@ -357,12 +1296,14 @@ exports.activate = async function () {
   try {
     await makeExecutable(Object.values(binaries))
     updateConfig()
+    updateScheduler()
+    updateBoundary()
     registerCommands()
     registerConfigListeners()
     registerEditorListeners()
     registerAssistant()
   } catch (error) {
-    console.error(error)
+    logError(error)
     if (!nova.inDevMode() && !state.activationErrorHandled) {
       const msg = nova.localize(`${ext.prefixMessage()}.msg.activation-error`)
       nova.workspace.showErrorMessage(msg)
@@ -375,5 +1316,9 @@ exports.activate = async function () {
  * Clean up after the extension.
  */
 exports.deactivate = function () {
+  if (state.projectLint != null) state.projectLint.cancel()
+  scheduler.cancelAll()
   collection.clear()
+  clearFixes()
+  stopServers()
 }